@@ -0,0 +1,113 @@
+// Composer and work-title alias dictionary, loaded from JSON at startup
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_ALIASES_PATH = fileURLToPath(new URL('./resources/aliases.json', import.meta.url));
+
+// Loose key for composer matching: case, dots, spaces, hyphens and apostrophes are ignored
+function composerKey(name) {
+  return (name || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[.\s\-–—'’]+/g, '');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function emptyAliases() {
+  return { composers: new Map(), titles: [], composerCount: 0, titleCount: 0 };
+}
+
+// Build lookup structures from { composers: { Canonical: [variants] }, titles: { Canonical: [variants] } }
+export function compileAliases(raw) {
+  const dict = emptyAliases();
+  for (const [canonical, variants] of Object.entries(raw.composers || {})) {
+    dict.composers.set(composerKey(canonical), canonical);
+    for (const variant of variants || []) {
+      dict.composers.set(composerKey(variant), canonical);
+    }
+    dict.composerCount++;
+  }
+  const titleRules = [];
+  for (const [canonical, variants] of Object.entries(raw.titles || {})) {
+    for (const variant of variants || []) {
+      titleRules.push({ variant, canonical });
+    }
+    dict.titleCount++;
+  }
+  // Longest variants first so "Mag and Nunc Dimittis" wins over "Mag and Nunc"
+  dict.titles = titleRules
+    .sort((a, b) => b.variant.length - a.variant.length)
+    .map(({ variant, canonical }) => ({
+      pattern: new RegExp(`(?<![\\w])${escapeRegex(variant).replace(/\s+/g, '\\s+')}(?![\\w])`, 'gi'),
+      canonical
+    }));
+  return dict;
+}
+
+export async function loadAliases(filePath = DEFAULT_ALIASES_PATH) {
+  try {
+    return compileAliases(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Failed to load aliases from ${filePath}: ${error.message}`);
+  }
+}
+
+export function canonicalComposer(name, dict) {
+  return dict.composers.get(composerKey(name)) || null;
+}
+
+export function isKnownComposer(name, dict) {
+  return dict.composers.has(composerKey(name));
+}
+
+export function canonicalTitle(title, dict) {
+  let result = title;
+  for (const rule of dict.titles) {
+    result = result.replace(rule.pattern, rule.canonical);
+  }
+  return result;
+}
+
+// Canonicalise the credit after the dash, keeping any "arr." / "Trad." wording
+function canonicalCredit(credit, dict) {
+  return credit
+    .split(/(\s*\barr\.\s*)/i)
+    .map(part => (/^\s*arr\.\s*$/i.test(part) || /^trad\b/i.test(part.trim()) ? part : canonicalComposer(part, dict) || part))
+    .join('');
+}
+
+// Apply the dictionary to a normalised "Title — Composer" string
+export function applyAliases(text, dict) {
+  if (!text || !dict) return text;
+  const dash = text.lastIndexOf(' — ');
+  if (dash < 0) return canonicalTitle(text, dict);
+
+  let title = text.slice(0, dash).trim();
+  let credit = text.slice(dash + 3).trim();
+
+  // Repair composer names split across the dash, e.g. "God be in my head Armtrong - — Gibbs"
+  const words = title.split(/\s+/);
+  for (let k = Math.min(3, words.length - 1); k >= 1; k--) {
+    const candidate = `${words.slice(-k).join(' ')} ${credit}`;
+    const canonical = canonicalComposer(candidate, dict);
+    if (canonical && !isKnownComposer(credit, dict)) {
+      title = words.slice(0, -k).join(' ').replace(/[\s\-–]+$/, '');
+      credit = canonical;
+      break;
+    }
+  }
+
+  return `${canonicalTitle(title, dict)} — ${canonicalCredit(credit, dict)}`;
+}
+
+// Plain-text listing of unrecognised composers: { name, role, count, examples } each
+export function formatUnrecognisedComposers(unrecognised) {
+  if (unrecognised.length === 0) return 'All composers recognised.';
+  return unrecognised.map(entry => [
+    `${entry.name} (${entry.role}, ${entry.count}x)`,
+    ...entry.examples.map(ex => `  ${ex.date} ${ex.service}: ${ex.piece}`)
+  ].join('\n')).join('\n');
+}
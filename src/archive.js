@@ -0,0 +1,118 @@
+// Permanent repertoire archive: every parsed service, keyed by date/time/service. Services a
+// revised list no longer has are kept but marked supersededAt.
+import path from 'path';
+import { serviceKey } from './changes.js';
+import { readJson, writeJsonAtomic } from './snapshot.js';
+
+const ARCHIVE_FILE = 'archive.json';
+const ARCHIVE_VERSION = 1;
+
+// Case- and accent-insensitive form used for lookups ("Faure" finds "Fauré")
+export function foldText(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[.\-–—'’]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function createArchive(dataDir) {
+  let records = new Map();
+
+  async function load() {
+    const saved = await readJson(path.join(dataDir, ARCHIVE_FILE));
+    if (!saved) return;
+    if (saved.version !== ARCHIVE_VERSION) {
+      throw new Error(`Unsupported archive version ${saved.version}`);
+    }
+    records = new Map(Object.entries(saved.services || {}));
+  }
+
+  async function save() {
+    await writeJsonAtomic(path.join(dataDir, ARCHIVE_FILE), {
+      version: ARCHIVE_VERSION,
+      services: Object.fromEntries(records)
+    });
+  }
+
+  // Upsert parsed services; the latest revision wins, firstSeen is kept. coverage lists the date
+  // spans ({ sourceId, from, to }, YYYY-MM-DD) the freshly parsed lists cover: an archived service
+  // from `today` on inside a span but missing from this pass was moved, retitled or dropped by a
+  // revised list, so it is marked superseded and no longer counts as a performance.
+  async function record(services, seenAt, { coverage = [], today = null } = {}) {
+    const stamp = seenAt.toISOString();
+    const seen = new Set();
+    for (const service of services) {
+      const key = serviceKey(service);
+      const existing = records.get(key);
+      seen.add(key);
+      records.set(key, {
+        ...service,
+        key,
+        firstSeen: existing ? existing.firstSeen : stamp,
+        lastSeen: stamp
+      });
+    }
+    for (const [key, rec] of records) {
+      if (seen.has(key) || rec.supersededAt || (today && rec.date < today)) continue;
+      const covered = coverage.some(span => (span.sourceId || null) === (rec.sourceId || null) && rec.date >= span.from && rec.date <= span.to);
+      if (covered) records.set(key, { ...rec, supersededAt: stamp });
+    }
+    await save();
+  }
+
+  // Every performance of pieces matching a title and/or composer, oldest first
+  function lookup({ piece, composer } = {}) {
+    const pieceQuery = foldText(piece);
+    const composerQuery = foldText(composer);
+    const results = [];
+    for (const rec of records.values()) {
+      if (rec.supersededAt) continue;
+      for (const [category, items] of Object.entries(rec.pieces || {})) {
+        for (const item of items) {
+          if (pieceQuery && !foldText(`${item.title} ${item.text}`).includes(pieceQuery)) continue;
+          if (composerQuery && ![item.composer, item.arranger, ...(item.psalm?.ranges || []).map(r => r.composer)].some(name => foldText(name).includes(composerQuery))) continue;
+          results.push({
+            date: rec.date,
+            time: rec.time,
+            service: rec.service,
+            choir: rec.choir,
+            category,
+            piece: item
+          });
+        }
+      }
+    }
+    return results.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+  }
+
+  return {
+    load,
+    record,
+    lookup,
+    size: () => records.size,
+    entries: () => Array.from(records.values())
+  };
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.round((Date.parse(`${toStr}T00:00:00Z`) - Date.parse(`${fromStr}T00:00:00Z`)) / 86400000);
+}
+
+// Plain-text repertoire history: when a piece or composer was last sung and is next scheduled,
+// then every performance. result: { piece, composer, today, last, next, performances }
+export function formatRepertoire(result) {
+  const label = [result.piece && `piece "${result.piece}"`, result.composer && `composer "${result.composer}"`].filter(Boolean).join(', ');
+  if (result.performances.length === 0) return `No performances found for ${label}.`;
+
+  const lines = [`${result.performances.length} performance(s) for ${label}`];
+  if (result.last) lines.push(`Last sung: ${result.last.date} ${result.last.service} (${daysBetween(result.last.date, result.today)} days ago)`);
+  if (result.next) lines.push(`Next scheduled: ${result.next.date} ${result.next.service}`);
+  lines.push('');
+  for (const p of result.performances) {
+    lines.push(`${p.date} ${p.time}  ${p.service}  |  ${p.choir.replace(/\band\b/gi, '&')}  |  ${p.piece.text}${p.when === 'upcoming' ? '  [upcoming]' : ''}`);
+  }
+  return lines.join('\n');
+}
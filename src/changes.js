@@ -0,0 +1,116 @@
+// Change detection between successive revisions of the music list
+
+export const PIECE_CATEGORIES = ['settings', 'anthems', 'psalms', 'hymns', 'organ'];
+
+const CATEGORY_NOUNS = {
+  settings: 'setting',
+  anthems: 'anthem',
+  psalms: 'psalm',
+  hymns: 'hymns',
+  organ: 'organ music'
+};
+
+function dateString(service) {
+  return service.date instanceof Date ? service.date.toISOString().split('T')[0] : String(service.date).split('T')[0];
+}
+
+// Services are matched on source/date/time/service title; the choir is compared, not keyed
+export function serviceKey(service) {
+  const key = `${dateString(service)}|${service.time}|${(service.service || '').trim().toLowerCase()}`;
+  return service.sourceId ? `${service.sourceId}|${key}` : key;
+}
+
+function describeService(service) {
+  return { date: dateString(service), time: service.time, service: service.service };
+}
+
+function diffList(before, after) {
+  const remaining = [...after];
+  const removed = [];
+  for (const item of before) {
+    const idx = remaining.indexOf(item);
+    if (idx >= 0) remaining.splice(idx, 1);
+    else removed.push(item);
+  }
+  return { removed, added: remaining };
+}
+
+// Compare two parsed service sets. Only services dated within the new set's range are
+// checked for removal, so lists rolling off the music list page don't count as changes.
+export function diffServices(previous, next) {
+  const changes = [];
+  if (!previous || previous.length === 0) return changes;
+
+  const nextDates = next.map(dateString).sort();
+  const firstDate = nextDates[0];
+  const lastDate = nextDates[nextDates.length - 1];
+  const prevByKey = new Map(previous.map(svc => [serviceKey(svc), svc]));
+  const nextByKey = new Map(next.map(svc => [serviceKey(svc), svc]));
+
+  for (const [key, svc] of nextByKey) {
+    const prev = prevByKey.get(key);
+    if (!prev) {
+      changes.push({ type: 'added', ...describeService(svc), choir: svc.choir });
+      continue;
+    }
+    if ((prev.choir || '').trim() !== (svc.choir || '').trim()) {
+      changes.push({ type: 'choir', ...describeService(svc), from: prev.choir, to: svc.choir });
+    }
+    for (const category of PIECE_CATEGORIES) {
+      const { removed, added } = diffList(prev.pieces?.[category] || [], svc.pieces?.[category] || []);
+      if (removed.length || added.length) {
+        changes.push({ type: 'pieces', ...describeService(svc), category, removed, added });
+      }
+    }
+  }
+
+  for (const [key, prev] of prevByKey) {
+    if (nextByKey.has(key)) continue;
+    const date = dateString(prev);
+    if (!firstDate || date < firstDate || date > lastDate) continue;
+    changes.push({ type: 'removed', ...describeService(prev), choir: prev.choir });
+  }
+
+  return changes.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+// One-line description, e.g. '2025-09-07 15:30 Choral Evensong: anthem changed from "X" to "Y"'
+export function describeChange(change) {
+  const head = `${change.date} ${change.time} ${change.service}`;
+  switch (change.type) {
+    case 'added':
+      return `${head}: service added${change.choir ? ` (${change.choir})` : ''}`;
+    case 'removed':
+      return `${head}: service removed`;
+    case 'choir':
+      return `${head}: choir changed from "${change.from}" to "${change.to}"`;
+    case 'pieces': {
+      const noun = CATEGORY_NOUNS[change.category] || change.category;
+      const quote = items => items.map(item => `"${item}"`).join(', ');
+      if (change.removed.length && change.added.length) {
+        return `${head}: ${noun} changed from ${quote(change.removed)} to ${quote(change.added)}`;
+      }
+      if (change.added.length) return `${head}: ${noun} added ${quote(change.added)}`;
+      return `${head}: ${noun} removed ${quote(change.removed)}`;
+    }
+    default:
+      return `${head}: ${change.type}`;
+  }
+}
+
+// Plain-text listing of change revisions (newest first), one block per refresh
+export function formatRevisions(revisions) {
+  if (revisions.length === 0) return 'No changes recorded.';
+  return revisions.map(rev => [
+    `Detected ${rev.detectedAt}`,
+    ...rev.changes.map(describeChange)
+  ].join('\n')).join('\n\n');
+}
+
+export function revisionsJson(revisions) {
+  return revisions.map(rev => ({
+    detected_at: rev.detectedAt,
+    pdf_urls: rev.pdfUrls || [],
+    changes: rev.changes.map(change => ({ ...change, summary: describeChange(change) }))
+  }));
+}
@@ -0,0 +1,43 @@
+// Choir formations: parsed from the PDF's choir text and used to filter services
+
+export const CHOIR_FORMATIONS = ['boys', 'girls', 'songmen', 'full', 'visiting', 'said'];
+export const SONGMEN = ['songmen'];
+const CHOIR_ALIASES = { boy: 'boys', girl: 'girls', men: 'songmen', songman: 'songmen', 'lay-clerks': 'songmen' };
+
+// Structured formations from choir text, e.g. "Senior Girls and Songmen" -> ['girls', 'songmen']
+export function parseChoirFormations(choirText) {
+  const text = (choirText || '').toLowerCase();
+  const formations = [];
+  if (/\bboys?\b|\btrebles\b/.test(text)) formations.push('boys');
+  if (/\bgirls?\b/.test(text)) formations.push('girls');
+  if (/\b(songmen|lay clerks|men)\b/.test(text)) formations.push('songmen');
+  if (/\bfull\b/.test(text) || /^(the\s+)?(cathedral\s+)?choir$/.test(text.trim())) formations.push('full');
+  if (/\bvisiting\b/.test(text)) formations.push('visiting');
+  if (/\bsaid\b/.test(text)) formations.push('said');
+  return formations;
+}
+
+// Parse ?choir=girls,boys into formation keys. null means no filtering ("all").
+export function parseChoirQuery(value, fallback) {
+  if (typeof value !== 'string' || !value.trim()) return { choirs: fallback };
+  const keys = value.toLowerCase().split(',')
+    .map(k => k.trim().replace(/\s+/g, '-'))
+    .filter(Boolean)
+    .map(k => CHOIR_ALIASES[k] || k);
+  if (keys.includes('all')) return { choirs: null };
+  const unknown = keys.filter(k => !CHOIR_FORMATIONS.includes(k));
+  if (unknown.length) {
+    return { error: `Unknown choir: ${unknown.join(', ')}. Use one of: all, ${CHOIR_FORMATIONS.join(', ')}` };
+  }
+  return { choirs: keys };
+}
+
+export function matchesChoirs(service, choirs) {
+  if (!choirs) return true;
+  return (service.formations || []).some(f => choirs.includes(f));
+}
+
+export function choirLabel(choirs) {
+  if (!choirs) return 'All choirs';
+  return choirs.map(c => c === 'full' ? 'Full Choir' : c.charAt(0).toUpperCase() + c.slice(1)).join('/');
+}
@@ -0,0 +1,174 @@
+// CiscoIPPhoneXML for 79xx handsets: ASCII only, 32-character lines, titles and prompts,
+// and XML objects kept under the phones' size limit. The ASCII, wrapping and service-line
+// helpers take a width so the other desk-phone families (phones.js) can share them.
+import { PIECE_CATEGORIES } from './changes.js';
+import { serviceDateString } from './format.js';
+import { weekdayOf } from './timezone.js';
+
+// Largest XML object a 79xx will display
+export const CISCO_MAX_BYTES = 4000;
+// Services per menu screen and text lines per detail screen
+export const CISCO_MENU_ITEMS = 10;
+export const CISCO_PAGE_LINES = 12;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CATEGORY_LABELS = { settings: 'Settings', anthems: 'Anthems', psalms: 'Psalms', hymns: 'Hymns', organ: 'Organ' };
+
+// Query parameters carried from screen to screen
+const FILTER_KEYS = ['choir', 'type', 'source'];
+
+export function escapeXml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// ASCII sanitizer and helpers for Cisco 79xx handsets
+export function asciiSanitize(text) {
+  if (!text) return '';
+  let t = String(text).normalize('NFKC')
+    .replace(/ﬁ/g, 'fi')
+    .replace(/ﬂ/g, 'fl')
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/[–—]/g, '-')
+    .replace(/•/g, '-')
+    .replace(/\u00AD/g, '');
+  // Strip non-ASCII (keep CR/LF/TAB)
+  t = t.replace(/[\u0080-\uFFFF]/g, ' ');
+  // Collapse spaces and trim trailing spaces
+  t = t.replace(/[\t ]{2,}/g, ' ').replace(/[ \t]+$/g, '');
+  return t;
+}
+
+export function shortService(title) {
+  if (!title) return '';
+  const m = String(title).match(/^(.*?)\s+with\s+/i);
+  return m ? m[1] : String(title);
+}
+
+// ASCII, cut to `width` characters with "..." when longer
+export function truncateText(s, width) {
+  if (!s) return '';
+  const a = asciiSanitize(s);
+  return a.length <= width ? a : a.slice(0, width - 3) + '...';
+}
+
+export function truncate32(s) {
+  return truncateText(s, 32);
+}
+
+// Word-wrap to `width`-character lines; continuation lines start with `indent`, over-long words are cut
+export function wrapText(text, width, indent = '') {
+  const lines = [];
+  let line = '';
+  for (const word of asciiSanitize(text).split(/\s+/).filter(Boolean)) {
+    const first = !lines.length && !line;
+    const candidate = line ? `${line} ${word}` : `${first ? '' : indent}${word}`;
+    if (candidate.length <= width) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = `${first ? '' : indent}${word}`;
+    while (line.length > width) {
+      lines.push(line.slice(0, width));
+      line = `${indent}${line.slice(width)}`;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+export function wrap32(text, indent = '') {
+  return wrapText(text, 32, indent);
+}
+
+// "2025-09-07" -> "Sun 7 Sep"
+export function shortDate(dateStr) {
+  const [, m, d] = dateStr.split('-').map(Number);
+  return `${WEEKDAYS[weekdayOf(dateStr)]} ${d} ${MONTHS[m - 1]}`;
+}
+
+// Absolute screen URL with the current filters (and any extra parameters)
+export function screenUrl(baseUrl, path, query, extra = {}) {
+  const params = new URLSearchParams();
+  for (const key of FILTER_KEYS) {
+    if (typeof query?.[key] === 'string' && query[key].trim()) params.set(key, query[key].trim());
+  }
+  for (const [key, value] of Object.entries(extra)) params.set(key, value);
+  const text = params.toString();
+  return `${baseUrl}${path}${text ? `?${text}` : ''}`;
+}
+
+function softKeyXml(softKeys) {
+  return softKeys.map((key, i) => `<SoftKeyItem>\n<Name>${escapeXml(asciiSanitize(key.name))}</Name>\n<URL>${escapeXml(key.url)}</URL>\n<Position>${i + 1}</Position>\n</SoftKeyItem>`);
+}
+
+// softKeys: [{ name, url }], numbered in order
+export function ciscoText({ title, prompt, text, softKeys = [] }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<CiscoIPPhoneText>',
+    `<Title>${escapeXml(truncate32(title))}</Title>`,
+    `<Prompt>${escapeXml(truncate32(prompt))}</Prompt>`,
+    `<Text>${escapeXml(asciiSanitize(text))}</Text>`,
+    ...softKeyXml(softKeys),
+    '</CiscoIPPhoneText>'
+  ].join('\n');
+}
+
+// items: [{ name, url }]; items that would take the object past CISCO_MAX_BYTES are left off
+export function ciscoMenu({ title, prompt, items, softKeys = [] }) {
+  const head = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<CiscoIPPhoneMenu>',
+    `<Title>${escapeXml(truncate32(title))}</Title>`,
+    `<Prompt>${escapeXml(truncate32(prompt))}</Prompt>`
+  ];
+  const tail = [...softKeyXml(softKeys), '</CiscoIPPhoneMenu>'];
+  let size = Buffer.byteLength([...head, ...tail].join('\n')) + 1;
+  const itemXml = [];
+  for (const item of items) {
+    const xml = `<MenuItem>\n<Name>${escapeXml(truncate32(item.name))}</Name>\n<URL>${escapeXml(item.url)}</URL>\n</MenuItem>`;
+    size += Buffer.byteLength(xml) + 1;
+    if (size > CISCO_MAX_BYTES) break;
+    itemXml.push(xml);
+  }
+  return [...head, ...itemXml, ...tail].join('\n');
+}
+
+// Every line of a service's detail screens, wrapped to `width`: when, what, who, then the full music and notes
+export function serviceLines(service, formatter, width = 32) {
+  const pieces = formatter.servicePiecesJson(service);
+  const notes = formatter.serviceNotesJson(service);
+  const source = formatter.otherSource(service);
+  const lines = [
+    `${shortDate(serviceDateString(service))} ${service.time}`,
+    ...wrapText(service.service, width, ' '),
+    ...(service.liturgicalDay ? wrapText(service.liturgicalDay, width, ' ') : []),
+    ...(source ? wrapText(`At: ${source.name}`, width, ' ') : []),
+    ...wrapText(`Choir: ${(service.choir || '').replace(/\band\b/gi, '&')}`, width, ' ')
+  ];
+  for (const category of PIECE_CATEGORIES) {
+    if (!pieces[category].length) continue;
+    lines.push(`${CATEGORY_LABELS[category]}:`);
+    for (const piece of pieces[category]) lines.push(...wrapText(`- ${piece}`, width, ' '));
+  }
+  if (notes.preacher) lines.push(...wrapText(`Preacher: ${notes.preacher}`, width, ' '));
+  if (notes.officiant) lines.push(...wrapText(`Officiant: ${notes.officiant}`, width, ' '));
+  for (const note of notes.notes) lines.push(...wrapText(`Note: ${note}`, width, ' '));
+  return lines;
+}
+
+// One screen of lines; page is clamped to the pages there are
+export function pageOf(items, page, size) {
+  const pages = Math.max(1, Math.ceil(items.length / size));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  return { items: items.slice(current * size, (current + 1) * size), page: current, pages };
+}
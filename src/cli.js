@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+// Command-line parser for local music list PDFs; runs without starting the server
+import fs from 'fs/promises';
+import { realpathSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'node:util';
+import { buildCalendar } from './ics.js';
+import { DEFAULT_ALIASES_PATH, loadAliases } from './aliases.js';
+import { DEFAULT_HYMNAL_PATH, loadHymnal } from './hymns.js';
+import { DEFAULT_SERVICE_TYPES_PATH, loadServiceTypes, parseServiceTypeQuery } from './service-types.js';
+import { dedupeServices } from './parser.js';
+import { DEFAULT_SOURCES_PATH, loadSources } from './sources.js';
+import { choirLabel, parseChoirQuery } from './choirs.js';
+import { DEFAULT_TIMEZONE, createFormatter, servicesCsv } from './format.js';
+import { servicesInRange } from './selectors.js';
+import { isValidTimeZone, localDateString, parseInstant } from './timezone.js';
+
+const FORMATS = ['human', 'json', 'csv', 'ics'];
+const REFRESH_HOURS = 12;
+
+const OPTIONS = {
+  format: { type: 'string', default: 'human' },
+  choir: { type: 'string' },
+  type: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  upcoming: { type: 'boolean', default: false },
+  now: { type: 'string' },
+  tz: { type: 'string' },
+  aliases: { type: 'string' },
+  hymnal: { type: 'string' },
+  'service-types': { type: 'string' },
+  source: { type: 'string' },
+  sources: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: cathedral-music-parser parse <file.pdf>... [options]
+
+Options:
+  --format <human|json|csv|ics>  output format (default human)
+  --choir <list>                 formations to include, e.g. girls,songmen (default all)
+  --type <list>                  service types to include, e.g. evensong,compline (default all)
+  --from <YYYY-MM-DD|today>      first service date to include
+  --to <YYYY-MM-DD|today>        last service date to include
+  --upcoming                     only services that have not started yet
+  --now <date|timestamp>         reference time for "today", --upcoming and lists without a year
+  --tz <zone>                    service time zone (default SERVICE_TZ or ${DEFAULT_TIMEZONE})
+  --aliases <file>               composer and title aliases (default ALIASES_PATH or bundled)
+  --hymnal <file>                hymnal index (default HYMNAL_PATH or bundled)
+  --service-types <file>         service-type vocabulary (default SERVICE_TYPES_PATH or bundled)
+  --source <id>                  source whose layout the PDFs use (default the first configured)
+  --sources <file>               source configuration (default SOURCES_PATH or bundled)
+  -h, --help                     show this help`;
+
+function usageError(stderr, message) {
+  stderr.write(`${message}\n\n${USAGE}\n`);
+  return 2;
+}
+
+// Returns the exit code: 0 ok, 1 unreadable or unparseable input, 2 bad usage
+export async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    return usageError(stderr, error.message);
+  }
+  if (values.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const [command, ...files] = positionals;
+  if (command !== 'parse') return usageError(stderr, command ? `Unknown command: ${command}` : 'No command given');
+  if (files.length === 0) return usageError(stderr, 'No PDF files given');
+  if (!FORMATS.includes(values.format)) return usageError(stderr, `Unknown format: ${values.format} (use ${FORMATS.join(', ')})`);
+
+  const timeZone = values.tz || env.SERVICE_TZ || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) return usageError(stderr, `Unknown time zone: ${timeZone}`);
+  const now = values.now ? parseInstant(values.now, timeZone) : new Date();
+  if (Number.isNaN(now.getTime())) return usageError(stderr, `Invalid --now: ${values.now}`);
+  const { choirs, error } = parseChoirQuery(values.choir, null);
+  if (error) return usageError(stderr, error);
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (values[key] === undefined) continue;
+    range[key] = values[key] === 'today' ? localDateString(now, timeZone) : values[key];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(range[key])) return usageError(stderr, `Invalid --${key}: ${values[key]} (use YYYY-MM-DD or today)`);
+  }
+
+  try {
+    const aliases = await loadAliases(values.aliases || env.ALIASES_PATH || DEFAULT_ALIASES_PATH);
+    const hymnal = await loadHymnal(values.hymnal || env.HYMNAL_PATH || DEFAULT_HYMNAL_PATH);
+    const serviceTypes = await loadServiceTypes(values['service-types'] || env.SERVICE_TYPES_PATH || DEFAULT_SERVICE_TYPES_PATH);
+    const { types, error: typeError } = parseServiceTypeQuery(values.type, serviceTypes);
+    if (typeError) return usageError(stderr, typeError);
+    const sources = await loadSources(values.sources || env.SOURCES_PATH || DEFAULT_SOURCES_PATH);
+    const source = values.source === undefined ? sources[0] : sources.find(entry => entry.id === values.source);
+    if (!source) return usageError(stderr, `Unknown source: ${values.source} (use ${sources.map(entry => entry.id).join(', ')})`);
+    const formatter = createFormatter({ aliases, hymnal, timeZone, sources });
+
+    const parsedServices = [];
+    const endDates = [];
+    for (const file of files) {
+      let parsed;
+      try {
+        parsed = await source.parse(await fs.readFile(file), { aliases, serviceTypes, now });
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+      parsedServices.push(...parsed.services);
+      if (parsed.endDate) endDates.push(parsed.endDate);
+      for (const warning of parsed.warnings) stderr.write(`Weekday mismatch: ${file}: ${warning}\n`);
+    }
+
+    const services = servicesInRange(dedupeServices(parsedServices), { ...range, timeZone, choirs, types })
+      .filter(service => !values.upcoming || formatter.serviceStart(service) >= now);
+
+    if (values.format === 'human') {
+      stdout.write(services.length ? `${services.map(formatter.formatServiceHuman).join('\n\n')}\n` : 'No services found\n');
+    } else if (values.format === 'json') {
+      const endDate = endDates.length ? new Date(Math.max(...endDates.map(d => d.getTime()))) : null;
+      stdout.write(`${JSON.stringify({
+        sources: files,
+        end_date: endDate ? endDate.toISOString().split('T')[0] : null,
+        services: services.map(formatter.serviceJsonV2)
+      }, null, 2)}\n`);
+    } else if (values.format === 'csv') {
+      stdout.write(servicesCsv(services, formatter));
+    } else {
+      stdout.write(buildCalendar({
+        name: `${source.name} ${choirLabel(choirs)}`,
+        timezone: timeZone,
+        refreshHours: REFRESH_HOURS,
+        events: services.map(formatter.calendarEvent),
+        revisions: {},
+        now
+      }));
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 1;
+  }
+}
+
+// Run when invoked directly or through the npm bin link, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,83 @@
+// Parse diagnostics: per-line trace from parsePDFBuffer plus a confidence score per service
+import { PIECE_CATEGORIES } from './changes.js';
+
+const PENALTIES = {
+  noDate: 0.5,
+  noChoir: 0.2,
+  noMusic: 0.2,
+  issue: 0.1
+};
+
+function dateString(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+// 1.0 = nothing odd; each problem found on the service's lines lowers the score
+export function scoreService(service, lines) {
+  const reasons = [];
+  let score = 1;
+  const penalise = (amount, reason) => {
+    score -= amount;
+    reasons.push(reason);
+  };
+
+  if (!service.date) penalise(PENALTIES.noDate, 'no date');
+  if (!service.choir) penalise(PENALTIES.noChoir, 'no choir');
+  const pieceCount = PIECE_CATEGORIES.reduce((n, category) => n + (service.pieces[category] || []).length, 0);
+  if (pieceCount === 0 && !(service.formations || []).includes('said')) penalise(PENALTIES.noMusic, 'no music listed');
+  for (const line of lines) {
+    for (const issue of line.issues) penalise(PENALTIES.issue, `line ${line.line}: ${issue}`);
+  }
+  return { confidence: Math.max(0, Math.round(score * 100) / 100), reasons };
+}
+
+// services: parsePDFBuffer output for one PDF (before dedupe); trace: the records it collected
+export function buildParseReport(source, { services, endDate }, trace) {
+  return {
+    source,
+    end_date: dateString(endDate),
+    lines: trace,
+    services: services.map((service, index) => ({
+      index,
+      date: dateString(service.date),
+      time: service.time,
+      service: service.service,
+      service_type: service.serviceType,
+      choir: service.choir,
+      ...scoreService(service, trace.filter(line => line.service === index))
+    })),
+    suspicious: trace.filter(line => line.issues.length > 0)
+  };
+}
+
+function pad(text, width) {
+  return String(text).padEnd(width);
+}
+
+export function formatParseReport(report) {
+  const out = [`Source: ${report.source}`, `End date: ${report.end_date || 'not found'}`, ''];
+
+  for (const line of report.lines) {
+    const target = line.service !== null && line.kind !== 'day' ? ` → #${line.service}` : '';
+    const pattern = line.pattern ? ` [${line.pattern}]` : '';
+    out.push(`${pad(line.line, 4)} ${pad(line.kind, 8)} ${line.text}${pattern}${target}`);
+    if (line.columns) out.push(`${pad('', 13)} columns  "${line.columns.title}" | "${line.columns.composer}"`);
+    for (const piece of line.pieces) {
+      const normalised = piece.normalized !== piece.raw ? `"${piece.raw}" → "${piece.normalized}"` : `"${piece.raw}"`;
+      const stored = piece.entries.length !== 1 || piece.entries[0] !== piece.normalized ? ` ⇒ ${piece.entries.join(' | ')}` : '';
+      out.push(`${pad('', 13)} ${pad(piece.category, 8)} ${normalised}${stored}`);
+    }
+    for (const note of line.notes || []) out.push(`${pad('', 13)} ${pad(note.kind, 8)} "${note.text}"`);
+    for (const issue of line.issues) out.push(`${pad('', 13)} ! ${issue}`);
+  }
+
+  out.push('', 'Services:');
+  for (const svc of report.services) {
+    out.push(`#${svc.index} ${svc.date || '????-??-??'} ${svc.time || '--:--'} ${svc.service} [${svc.service_type}] (${svc.choir || 'no choir'}) confidence ${svc.confidence.toFixed(2)}`);
+    for (const reason of svc.reasons) out.push(`    - ${reason}`);
+  }
+
+  out.push('', `Suspicious lines: ${report.suspicious.length}`);
+  for (const line of report.suspicious) out.push(`${pad(line.line, 4)} ${line.text} (${line.issues.join('; ')})`);
+  return out.join('\n');
+}
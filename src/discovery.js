@@ -0,0 +1,62 @@
+// Music list PDFs linked from the cathedral's music list page
+import * as cheerio from 'cheerio';
+
+export const DEFAULT_MUSIC_LIST_URL = 'https://leicestercathedral.org/music-list/';
+
+// Leicester's link text: "Music list 31 August to 21 September"; named groups day, month and optional year
+export const DEFAULT_LINK_PATTERN = /to\s+(?<day>\d{1,2})\s+(?<month>\w+)(?:\s+(?<year>\d{4}))?/i;
+export const DEFAULT_LINK_SELECTOR = 'a[href*=".pdf"]';
+
+const MONTHS = {
+  january: 0, february: 1, march: 2, april: 3, may: 4, june: 5,
+  july: 6, august: 7, september: 8, october: 9, november: 10, december: 11
+};
+
+// Full or abbreviated month name ("September", "Sept", "Sep") -> 0-11
+function monthIndex(name) {
+  const lower = (name || '').toLowerCase().replace(/^sept$/, 'sep');
+  if (MONTHS[lower] !== undefined) return MONTHS[lower];
+  return lower.length >= 3 ? Object.entries(MONTHS).find(([month]) => month.startsWith(lower))?.[1] : undefined;
+}
+
+// Link text usually has no year: "to 11 January" is placed in whichever year puts it nearest now,
+// so in January a list ending in December sorts before one ending this month
+function endDateNear(day, month, year, now) {
+  if (year) return new Date(year, month, day);
+  return [now.getFullYear() - 1, now.getFullYear(), now.getFullYear() + 1]
+    .map(y => new Date(y, month, day))
+    .sort((a, b) => Math.abs(a - now) - Math.abs(b - now))[0];
+}
+
+// Only web links are followed: a page must not be able to point the fetcher at local files
+const LINK_PROTOCOLS = ['http:', 'https:'];
+
+// Links matching linkSelector whose text matches linkPattern (the list's end date), latest end date
+// first. Relative links resolve against baseUrl; links that resolve to anything but http(s) are dropped.
+export function discoverMusicLists(html, { baseUrl = DEFAULT_MUSIC_LIST_URL, now = new Date(), linkPattern = DEFAULT_LINK_PATTERN, linkSelector = DEFAULT_LINK_SELECTOR } = {}) {
+  const $ = cheerio.load(html || '');
+  const results = [];
+  const seen = new Set();
+  $(linkSelector).each((i, link) => {
+    const href = $(link).attr('href');
+    const text = $(link).text().trim();
+    if (!href) return;
+    const resolved = new URL(href, baseUrl);
+    if (!LINK_PROTOCOLS.includes(resolved.protocol)) return;
+    const url = resolved.href;
+    if (seen.has(url)) return;
+    // Look for "to DD MONTH" pattern
+    const match = text.match(linkPattern);
+    if (match) {
+      const day = parseInt(match.groups.day);
+      const month = monthIndex(match.groups.month);
+      if (month !== undefined) {
+        results.push({ url, endDate: endDateNear(day, month, match.groups.year ? parseInt(match.groups.year) : null, now) });
+        seen.add(url);
+      }
+    }
+  });
+
+  results.sort((a, b) => (b.endDate?.getTime() || 0) - (a.endDate?.getTime() || 0));
+  return results;
+}
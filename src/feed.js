@@ -0,0 +1,96 @@
+// Atom (RFC 4287) and RSS 2.0 feeds of upcoming services and newly published music lists
+import crypto from 'crypto';
+
+const GENERATOR = 'cathedral-music-parser';
+const ID_PREFIX = 'urn:cathedral-music-parser';
+
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Stable entry ids: a service keeps its calendar UID hash, a list is keyed by its URL
+export function serviceEntryId(serviceId) {
+  return `${ID_PREFIX}:service:${serviceId}`;
+}
+
+export function listEntryId(pdfUrl) {
+  return `${ID_PREFIX}:list:${crypto.createHash('sha1').update(pdfUrl).digest('hex').slice(0, 16)}`;
+}
+
+// One id per filter combination: "urn:…:feed:songmen", "urn:…:feed:all;type=evensong"
+export function feedId({ choirs = null, types = null, sources = null } = {}) {
+  const parts = [choirs ? choirs.join(',') : 'all'];
+  if (types) parts.push(`type=${types.join(',')}`);
+  if (sources) parts.push(`source=${sources.join(',')}`);
+  return `${ID_PREFIX}:feed:${parts.join(';')}`;
+}
+
+function latest(entries, fallback) {
+  return entries.reduce((max, entry) => (entry.updated > max ? entry.updated : max), fallback);
+}
+
+// RFC 822 date for RSS: "Sun, 07 Sep 2025 09:30:00 GMT"
+function rssDate(date) {
+  return date.toUTCString();
+}
+
+// feed: { id, title, link, selfUrl, now, entries: [{ id, title, link, updated (Date), content (plain text) }] }
+export function buildAtomFeed({ id, title, link, selfUrl, now, entries }) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(id)}</id>`,
+    `<title>${escapeXml(title)}</title>`,
+    `<updated>${latest(entries, now).toISOString()}</updated>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+    `<author><name>${escapeXml(title)}</name></author>`,
+    `<generator>${GENERATOR}</generator>`
+  ];
+  for (const entry of entries) {
+    lines.push(
+      '<entry>',
+      `<id>${escapeXml(entry.id)}</id>`,
+      `<title>${escapeXml(entry.title)}</title>`,
+      `<updated>${entry.updated.toISOString()}</updated>`,
+      `<link rel="alternate" href="${escapeXml(entry.link)}"/>`,
+      `<content type="text">${escapeXml(entry.content)}</content>`,
+      '</entry>'
+    );
+  }
+  lines.push('</feed>');
+  return `${lines.join('\n')}\n`;
+}
+
+// Same feed as RSS 2.0; entry ids become non-permalink GUIDs and updated times pubDates
+export function buildRssFeed({ title, link, selfUrl, now, entries }) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${escapeXml(title)}</title>`,
+    `<link>${escapeXml(link)}</link>`,
+    `<description>${escapeXml(title)}</description>`,
+    `<atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>`,
+    `<lastBuildDate>${rssDate(latest(entries, now))}</lastBuildDate>`,
+    `<generator>${GENERATOR}</generator>`
+  ];
+  for (const entry of entries) {
+    lines.push(
+      '<item>',
+      `<title>${escapeXml(entry.title)}</title>`,
+      `<link>${escapeXml(entry.link)}</link>`,
+      `<guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+      `<pubDate>${rssDate(entry.updated)}</pubDate>`,
+      `<description>${escapeXml(entry.content)}</description>`,
+      '</item>'
+    );
+  }
+  lines.push('</channel>', '</rss>');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,254 @@
+// Service formatting for text, calendar and JSON output; aliases and hymnal are fixed per formatter
+import { serviceUid } from './ics.js';
+import { PIECE_CATEGORIES } from './changes.js';
+import { parsePiece } from './pieces.js';
+import { emptyAliases } from './aliases.js';
+import { formatPsalm, parsePsalms, psalmComposers, psalmLabel } from './psalms.js';
+import { emptyHymnal, formatHymn, hymnNumber, resolveHymn, splitHymns } from './hymns.js';
+import { canonicalizeSettingPiece, normalizePieceTitle } from './parser.js';
+import { OTHER_SERVICE_TYPE } from './service-types.js';
+import { zonedTimeToInstant } from './timezone.js';
+
+export const DEFAULT_TIMEZONE = 'Europe/London';
+export const CALENDAR_LOCATION = 'Leicester Cathedral';
+
+// Service dates are calendar dates (held at 12:00Z); times are local wall-clock in the service time zone
+export function serviceDateString(service) {
+  return service.date.toISOString().split('T')[0];
+}
+
+export function serviceStart(service, timeZone = DEFAULT_TIMEZONE) {
+  if (!service.date) return new Date(NaN);
+  return zonedTimeToInstant(serviceDateString(service), service.time || '00:00', timeZone);
+}
+
+// sources (sources.js): the first is the primary source, whose services need no place shown
+export function createFormatter({ aliases = emptyAliases(), hymnal = emptyHymnal(), timeZone = DEFAULT_TIMEZONE, location = CALENDAR_LOCATION, sources = [] } = {}) {
+  const primarySource = sources[0]?.id || null;
+
+  // The source of a service from another foundation; null for the primary source
+  function otherSource(service) {
+    if (!service.sourceId || service.sourceId === primarySource) return null;
+    return sources.find(source => source.id === service.sourceId) || { id: service.sourceId, name: service.sourceId, location: service.sourceId };
+  }
+
+  // One entry per hymn (snapshots from before hymn splitting hold whole lines), without hymnal titles
+  function hymnEntries(service) {
+    return hymnLines(service).map(entry => entry.text);
+  }
+
+  // Stored piece lines with the PDF text each came from (the line itself when pieceSources is missing)
+  function pieceLines(service, category) {
+    return (service.pieces[category] || []).map((text, i) => ({ text, source: service.pieceSources?.[category]?.[i] ?? text }));
+  }
+
+  // hymnEntries with each entry's source line, kept through the split
+  function hymnLines(service) {
+    return pieceLines(service, 'hymns').flatMap(({ text, source }) => {
+      const hymn = normalizePieceTitle(text);
+      return (/^hymns?\b/i.test(hymn) ? splitHymns(hymn) : [hymn]).map(entry => ({ text: entry, source }));
+    });
+  }
+
+  // One entry per psalm in the consistent psalms.js form, with its structure (null if unparseable)
+  // and the source line it was split from
+  function psalmEntries(service) {
+    return pieceLines(service, 'psalms').flatMap(({ text: line, source }) => {
+      const text = normalizePieceTitle(line);
+      const psalms = parsePsalms(text);
+      return psalms.length ? psalms.map(psalm => ({ text: formatPsalm(psalm), psalm, source })) : [{ text, psalm: null, source }];
+    });
+  }
+
+  // Category lines shared by the human-readable and calendar formats
+  function formatServiceDetails(service) {
+    const settings = (service.pieces.settings || []).map(p => canonicalizeSettingPiece(p, service.service, aliases));
+    const anthems = (service.pieces.anthems || []).map(normalizePieceTitle);
+    const psalms = psalmEntries(service).map(p => p.text);
+    const hymns = hymnEntries(service).map(h => formatHymn(h, hymnal));
+    const lines = [];
+    if (settings.length) lines.push(`Settings: ${settings.join('; ')}`);
+    if (anthems.length) lines.push(`Anthems: ${anthems.join('; ')}`);
+    if (psalms.length) lines.push(`Psalms: ${psalms.join('; ')}`);
+    if (hymns.length) lines.push(`Hymns: ${hymns.join('; ')}`);
+    return lines;
+  }
+
+  // Preacher, officiant and other notes, after the music
+  function formatServiceNotes(service) {
+    const lines = [];
+    if (service.preacher) lines.push(`Preacher: ${service.preacher}`);
+    if (service.officiant) lines.push(`Officiant: ${service.officiant}`);
+    if (service.notes?.length) lines.push(`Notes: ${service.notes.join('; ')}`);
+    return lines;
+  }
+
+  function formatServiceHuman(service) {
+    const dateStr = service.date.toISOString().split('T')[0];
+    const choir = service.choir.replace(/\band\b/gi, '&');
+    const details = [...formatServiceDetails(service), ...formatServiceNotes(service)].join('\n');
+    const day = service.liturgicalDay ? `\nDay: ${service.liturgicalDay}` : '';
+    const source = otherSource(service);
+    const place = source ? `\nAt: ${source.name}` : '';
+    return `${dateStr} ${service.time}  ${service.service}${place}${day}\nChoir: ${choir}${details ? `\n${details}` : ''}`;
+  }
+
+  // Stable id for links to one service: the hash part of its calendar UID
+  function serviceId(service) {
+    return serviceUid(serviceDateString(service), service.time, service.service, otherSource(service)?.id).split('@')[0];
+  }
+
+  function calendarEvent(service) {
+    const dateStr = service.date.toISOString().split('T')[0];
+    const choir = service.choir.replace(/\band\b/gi, '&');
+    const source = otherSource(service);
+    return {
+      uid: serviceUid(dateStr, service.time, service.service, source?.id),
+      date: dateStr,
+      time: service.time,
+      start: serviceStart(service, timeZone),
+      summary: service.service,
+      description: [service.liturgicalDay ? `Day: ${service.liturgicalDay}` : '', `Choir: ${choir}`, ...formatServiceDetails(service), ...formatServiceNotes(service)]
+        .filter(Boolean).join('\n'),
+      location: source ? source.location : location
+    };
+  }
+
+  function serviceNotesJson(service) {
+    return {
+      preacher: service.preacher || null,
+      officiant: service.officiant || null,
+      notes: service.notes || [],
+      broadcast: Boolean(service.broadcast)
+    };
+  }
+
+  // String arrays per category, as returned by the v1 JSON routes
+  function servicePiecesJson(service) {
+    return {
+      settings: (service.pieces.settings || []).map(p => canonicalizeSettingPiece(p, service.service, aliases)),
+      anthems: (service.pieces.anthems || []).map(normalizePieceTitle),
+      psalms: psalmEntries(service).map(p => p.text),
+      hymns: hymnEntries(service).map(h => formatHymn(h, hymnal)),
+      organ: service.pieces.organ || []
+    };
+  }
+
+  // Structured piece objects per category (v2 JSON)
+  function servicePieceDetails(service) {
+    const strings = servicePiecesJson(service);
+    // Hymn and psalm lines may split into several entries here, so sources are taken per entry
+    const sources = {
+      hymns: hymnLines(service).map(entry => entry.source),
+      psalms: psalmEntries(service).map(entry => entry.source)
+    };
+    const details = {};
+    for (const category of PIECE_CATEGORIES) {
+      const categorySources = sources[category] || pieceLines(service, category).map(line => line.source);
+      details[category] = strings[category].map((text, i) => parsePiece(category === 'organ' ? normalizePieceTitle(text) : text, {
+        category,
+        source: categorySources[i]
+      }));
+    }
+    // Psalms carry number and verse ranges with a chant composer each; composer is set only when one chant covers all
+    psalmEntries(service).forEach(({ psalm }, i) => {
+      const piece = details.psalms[i];
+      if (!piece || !psalm) return;
+      const composers = psalmComposers(psalm);
+      piece.title = psalmLabel(psalm);
+      piece.composer = composers.length === 1 && psalm.ranges.every(r => r.composer) ? composers[0] : null;
+      piece.key = null;
+      piece.psalm = psalm;
+    });
+    // Hymns carry their number and hymnal entry; the title is the hymnal title when resolved
+    hymnEntries(service).forEach((entry, i) => {
+      const hymn = resolveHymn(entry, hymnal);
+      const piece = details.hymns[i];
+      if (!piece) return;
+      piece.key = null;
+      piece.hymn = hymn || { number: hymnNumber(entry), book: hymnal.book, title: null, first_line: null, tune: null };
+      if (hymn?.title || hymn?.first_line) piece.title = hymn.title || hymn.first_line;
+    });
+    return details;
+  }
+
+  // One service as returned by the v1 JSON routes (/json, /json/week)
+  function serviceJson(service) {
+    return {
+      date: service.date.toISOString().split('T')[0],
+      time: service.time,
+      service: service.service,
+      service_type: service.serviceType || OTHER_SERVICE_TYPE,
+      liturgical_day: service.liturgicalDay || null,
+      source_id: service.sourceId || null,
+      choir: service.choir,
+      formations: service.formations || [],
+      pieces: servicePiecesJson(service),
+      ...serviceNotesJson(service)
+    };
+  }
+
+  function serviceJsonV2(service) {
+    return {
+      date: service.date.toISOString().split('T')[0],
+      time: service.time,
+      start: serviceStart(service, timeZone).toISOString(),
+      service: service.service,
+      service_type: service.serviceType || OTHER_SERVICE_TYPE,
+      source_id: service.sourceId || null,
+      liturgical_day: service.liturgicalDay || null,
+      choir: service.choir,
+      formations: service.formations || [],
+      pieces: servicePiecesJson(service),
+      piece_details: servicePieceDetails(service),
+      ...serviceNotesJson(service)
+    };
+  }
+
+  return {
+    serviceStart: service => serviceStart(service, timeZone),
+    hymnEntries,
+    psalmEntries,
+    formatServiceDetails,
+    formatServiceNotes,
+    formatServiceHuman,
+    serviceId,
+    otherSource,
+    calendarEvent,
+    servicePiecesJson,
+    serviceNotesJson,
+    servicePieceDetails,
+    serviceJson,
+    serviceJsonV2
+  };
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per service; pieces in each category joined with "; "
+export function servicesCsv(services, formatter) {
+  const header = ['date', 'time', 'service', 'service_type', 'liturgical_day', 'choir', 'formations', ...PIECE_CATEGORIES, 'preacher', 'officiant', 'notes', 'broadcast', 'source_id'];
+  const rows = services.map(service => {
+    const pieces = formatter.servicePiecesJson(service);
+    const notes = formatter.serviceNotesJson(service);
+    return [
+      serviceDateString(service),
+      service.time,
+      service.service,
+      service.serviceType || OTHER_SERVICE_TYPE,
+      service.liturgicalDay || '',
+      service.choir,
+      (service.formations || []).join(' '),
+      ...PIECE_CATEGORIES.map(category => pieces[category].join('; ')),
+      notes.preacher,
+      notes.officiant,
+      notes.notes.join('; '),
+      notes.broadcast,
+      service.sourceId || ''
+    ];
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
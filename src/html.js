@@ -0,0 +1,238 @@
+// Server-rendered HTML pages: upcoming services, a month calendar and one service's music.
+// No scripts; the inline stylesheet stacks the calendar on narrow screens and drops navigation when printed.
+import { PIECE_CATEGORIES } from './changes.js';
+import { serviceDateString } from './format.js';
+import { addDays, weekdayOf } from './timezone.js';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const CATEGORY_LABELS = { settings: 'Settings', anthems: 'Anthems', psalms: 'Psalms', hymns: 'Hymns', organ: 'Organ' };
+
+// Query parameters carried from page to page
+const FILTER_KEYS = ['choir', 'type', 'source'];
+
+const STYLE = `
+body { font-family: Georgia, serif; max-width: 60em; margin: 0 auto; padding: 0 1em 2em; line-height: 1.4; color: #222; }
+nav { display: flex; flex-wrap: wrap; gap: 1em; padding: 0.75em 0; border-bottom: 1px solid #ccc; }
+a { color: #6b1d2a; }
+.banner { background: #fff3cd; border: 1px solid #e0c36c; padding: 0.5em 0.75em; margin: 1em 0; }
+.day { margin-top: 1.5em; border-bottom: 1px solid #ddd; }
+.service { margin: 0.75em 0; }
+.service h3 { margin: 0; font-size: 1.05em; }
+.meta, .music { margin: 0.2em 0; }
+.meta { color: #555; }
+.month { width: 100%; border-collapse: collapse; table-layout: fixed; }
+.month th, .month td { border: 1px solid #ccc; padding: 0.3em; vertical-align: top; }
+.month td { height: 5em; }
+.month td.outside { background: #f4f4f4; color: #999; }
+.month td.today { outline: 2px solid #6b1d2a; outline-offset: -2px; }
+.month ul { list-style: none; margin: 0; padding: 0; font-size: 0.85em; }
+.month .weekday { display: none; }
+.pager { display: flex; justify-content: space-between; }
+dt { font-weight: bold; }
+dd { margin: 0 0 0.5em 0; }
+footer { margin-top: 2em; font-size: 0.85em; color: #555; }
+@media (max-width: 40em) {
+  .month, .month tbody, .month tr, .month td { display: block; width: auto; }
+  .month thead, .month td.outside, .month td.empty { display: none; }
+  .month td { height: auto; border-width: 0 0 1px; }
+  .month .weekday { display: inline; }
+}
+@media print {
+  nav, .pager { display: none; }
+  body { max-width: none; }
+  a { color: inherit; text-decoration: none; }
+  .day, .service, .month tr { break-inside: avoid; }
+}`;
+
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// "2025-09-07" -> "Sunday 7 September 2025"
+export function longDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return `${WEEKDAY_NAMES[weekdayOf(dateStr)]} ${d} ${MONTH_NAMES[m - 1]} ${y}`;
+}
+
+function monthName(month) {
+  const [y, m] = month.split('-').map(Number);
+  return `${MONTH_NAMES[m - 1]} ${y}`;
+}
+
+// "2025-09", 1 -> "2025-10"
+export function addMonths(month, count) {
+  const [y, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1 + count, 1)).toISOString().slice(0, 7);
+}
+
+// Monday–Sunday weeks of YYYY-MM-DD dates covering the month, including neighbouring months' days
+export function monthWeeks(month) {
+  const first = `${month}-01`;
+  const last = addDays(`${addMonths(month, 1)}-01`, -1);
+  let day = addDays(first, -((weekdayOf(first) + 6) % 7));
+  const weeks = [];
+  while (day <= last) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(day);
+      day = addDays(day, 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+// Page path with the current filters (and any extra parameters) as its query string
+function withQuery(path, query, extra = {}) {
+  const params = new URLSearchParams();
+  for (const key of FILTER_KEYS) {
+    if (typeof query?.[key] === 'string' && query[key].trim()) params.set(key, query[key].trim());
+  }
+  for (const [key, value] of Object.entries(extra)) params.set(key, value);
+  const text = params.toString();
+  return text ? `${path}?${text}` : path;
+}
+
+function serviceLink(service, formatter, query) {
+  return withQuery(`/html/service/${formatter.serviceId(service)}`, query);
+}
+
+// Last path segment of a PDF URL, for link text
+function pdfName(url) {
+  const segment = url.split(/[?#]/)[0].split('/').filter(Boolean).pop() || url;
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// Shared layout. options: { siteName, banner, pdfUrls, query }
+function page(title, body, { siteName = '', banner = null, pdfUrls = [], query = {} } = {}) {
+  const pdfs = pdfUrls.length
+    ? `<p>Music lists: ${pdfUrls.map(url => `<a href="${escapeHtml(url)}">${escapeHtml(pdfName(url))}</a>`).join(', ')}</p>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(siteName ? `${title} — ${siteName}` : title)}</title>
+<style>${STYLE}
+</style>
+</head>
+<body>
+<nav><a href="${escapeHtml(withQuery('/html', query))}">Upcoming</a> <a href="${escapeHtml(withQuery('/html/month', query))}">Month</a></nav>
+${banner ? `<p class="banner">${escapeHtml(banner)}</p>\n` : ''}<h1>${escapeHtml(title)}</h1>
+${body}
+<footer>${pdfs}</footer>
+</body>
+</html>
+`;
+}
+
+// Choir, liturgical day and (for other foundations) place, under a service title
+function serviceMeta(service, formatter) {
+  const source = formatter.otherSource(service);
+  return [
+    service.liturgicalDay,
+    source ? source.name : '',
+    service.choir
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+}
+
+// options: { services, formatter, query, … page options }
+export function upcomingPage({ services, formatter, ...options }) {
+  const days = [];
+  for (const service of services) {
+    const dateStr = serviceDateString(service);
+    if (days.length === 0 || days[days.length - 1].date !== dateStr) days.push({ date: dateStr, services: [] });
+    days[days.length - 1].services.push(service);
+  }
+  const body = days.length
+    ? days.map(day => `<section class="day">
+<h2>${escapeHtml(longDate(day.date))}</h2>
+${day.services.map(service => [
+    '<div class="service">',
+    `<h3><a href="${escapeHtml(serviceLink(service, formatter, options.query))}">${escapeHtml(service.time)} ${escapeHtml(service.service)}</a></h3>`,
+    `<p class="meta">${serviceMeta(service, formatter)}</p>`,
+    ...formatter.formatServiceDetails(service).map(line => `<p class="music">${escapeHtml(line)}</p>`),
+    '</div>'
+  ].join('\n')).join('\n')}
+</section>`).join('\n')
+    : '<p>No upcoming services.</p>';
+  return page('Upcoming services', body, options);
+}
+
+// options: { month: "YYYY-MM", today: "YYYY-MM-DD", services (any dates), formatter, query, … page options }
+export function monthPage({ month, today, services, formatter, ...options }) {
+  const byDate = new Map();
+  for (const service of services) {
+    const dateStr = serviceDateString(service);
+    if (!byDate.has(dateStr)) byDate.set(dateStr, []);
+    byDate.get(dateStr).push(service);
+  }
+  const rows = monthWeeks(month).map(week => `<tr>${week.map(dateStr => {
+    const dayServices = byDate.get(dateStr) || [];
+    const classes = [
+      dateStr.slice(0, 7) !== month ? 'outside' : '',
+      dateStr === today ? 'today' : '',
+      dayServices.length ? '' : 'empty'
+    ].filter(Boolean).join(' ');
+    const list = dayServices.length
+      ? `<ul>${dayServices.map(service => `<li><a href="${escapeHtml(serviceLink(service, formatter, options.query))}">${escapeHtml(service.time)} ${escapeHtml(service.service)}</a></li>`).join('')}</ul>`
+      : '';
+    const dayNumber = Number(dateStr.slice(8));
+    return `<td${classes ? ` class="${classes}"` : ''}><span class="weekday">${WEEKDAY_NAMES[weekdayOf(dateStr)]} </span>${dayNumber}${list}</td>`;
+  }).join('')}</tr>`).join('\n');
+
+  const pager = `<p class="pager"><a href="${escapeHtml(withQuery('/html/month', options.query, { month: addMonths(month, -1) }))}">← ${escapeHtml(monthName(addMonths(month, -1)))}</a>`
+    + ` <a href="${escapeHtml(withQuery('/html/month', options.query, { month: addMonths(month, 1) }))}">${escapeHtml(monthName(addMonths(month, 1)))} →</a></p>`;
+  const body = `${pager}
+<table class="month">
+<thead><tr>${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => `<th>${day}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+  return page(monthName(month), body, options);
+}
+
+// options: { service, formatter, query, … page options }
+export function servicePage({ service, formatter, ...options }) {
+  const pieces = formatter.servicePiecesJson(service);
+  const notes = formatter.serviceNotesJson(service);
+  const source = formatter.otherSource(service);
+  const facts = [
+    ['Date', `${longDate(serviceDateString(service))}, ${service.time}`],
+    ['Day', service.liturgicalDay],
+    ['At', source?.name],
+    ['Choir', service.choir],
+    ['Preacher', notes.preacher],
+    ['Officiant', notes.officiant]
+  ].filter(([, value]) => value);
+  const music = PIECE_CATEGORIES
+    .filter(category => pieces[category].length)
+    .map(category => `<h2>${CATEGORY_LABELS[category]}</h2>
+<ul>${pieces[category].map(piece => `<li>${escapeHtml(piece)}</li>`).join('')}</ul>`)
+    .join('\n');
+  const body = [
+    '<dl>',
+    ...facts.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`),
+    '</dl>',
+    music || '<p>No music listed.</p>',
+    notes.notes.length ? `<h2>Notes</h2>\n<ul>${notes.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>` : ''
+  ].filter(Boolean).join('\n');
+  return page(service.service, body, options);
+}
+
+// Not found, bad filters and the like
+export function messagePage(title, message, options = {}) {
+  return page(title, `<p>${escapeHtml(message)}</p>`, options);
+}
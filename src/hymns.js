@@ -0,0 +1,67 @@
+// Hymn lines split into entries and resolved against a local hymnal index
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_HYMNAL_PATH = fileURLToPath(new URL('./resources/hymnal.json', import.meta.url));
+
+export function emptyHymnal() {
+  return { book: null, hymns: new Map() };
+}
+
+// { book: "…", hymns: { "707": { title, first_line, tune } } }
+export function compileHymnal(raw) {
+  const hymnal = emptyHymnal();
+  hymnal.book = raw.book || null;
+  for (const [number, entry] of Object.entries(raw.hymns || {})) {
+    hymnal.hymns.set(number.trim().toLowerCase(), {
+      title: entry.title || null,
+      first_line: entry.first_line || null,
+      tune: entry.tune || null
+    });
+  }
+  return hymnal;
+}
+
+export async function loadHymnal(filePath = DEFAULT_HYMNAL_PATH) {
+  try {
+    return compileHymnal(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Failed to load hymnal from ${filePath}: ${error.message}`);
+  }
+}
+
+// "Hymns 707, 421, Mungu ni mwema, 806" -> ["Hymn 707", "Hymn 421", "Mungu ni mwema", "Hymn 806"]
+export function splitHymns(text) {
+  const body = (text || '').trim().replace(/^hymns?\b[\s:.]*/i, '');
+  const entries = [];
+  for (const part of body.split(/\s*[,;]\s*/)) {
+    for (const item of part.split(/\s+(?:&|and)\s+(?=\d)/i)) {
+      const trimmed = item.trim();
+      if (!trimmed) continue;
+      entries.push(/^\d{1,4}[a-z]?\b/i.test(trimmed) ? `Hymn ${trimmed}` : trimmed);
+    }
+  }
+  return entries;
+}
+
+export function hymnNumber(entry) {
+  const match = (entry || '').match(/^Hymn\s+(\d{1,4}[a-z]?)\b/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Index entry for a "Hymn NNN" string, or null when the number isn't in the hymnal
+export function resolveHymn(entry, hymnal) {
+  const number = hymnNumber(entry);
+  if (!number || !hymnal) return null;
+  const found = hymnal.hymns.get(number);
+  return found ? { number, book: hymnal.book, ...found } : null;
+}
+
+// "Hymn 707: Praise, my soul, the King of heaven (Praise, my soul)"; unresolved entries are unchanged
+export function formatHymn(entry, hymnal) {
+  const hymn = resolveHymn(entry, hymnal);
+  if (!hymn) return entry;
+  const name = hymn.title || hymn.first_line;
+  const label = name ? `${entry}: ${name}` : entry;
+  return hymn.tune ? `${label} (${hymn.tune})` : label;
+}
@@ -0,0 +1,144 @@
+// RFC 5545 calendar helpers for the subscription feed
+import crypto from 'crypto';
+
+// Names the software, not the foundation, whose name goes in X-WR-CALNAME
+const PRODID = '-//cathedral-music-parser//Music list calendar//EN';
+const UID_DOMAIN = 'cathedral-music-parser';
+
+// Static VTIMEZONE definitions keyed by TZID (current rules only)
+const VTIMEZONES = {
+  'Europe/London': [
+    'BEGIN:VTIMEZONE',
+    'TZID:Europe/London',
+    'X-LIC-LOCATION:Europe/London',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0000',
+    'TZOFFSETTO:+0100',
+    'TZNAME:BST',
+    'DTSTART:19700329T010000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0000',
+    'TZNAME:GMT',
+    'DTSTART:19701025T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]
+};
+
+export function escapeText(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 §3.1) without splitting UTF-8 sequences
+export function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+  for (const ch of line) {
+    const chBytes = Buffer.byteLength(ch, 'utf8');
+    if (currentBytes + chBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += ch;
+    currentBytes += chBytes;
+  }
+  if (current) parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 2025-08-31 + 10:30 -> 20250831T103000
+export function formatLocalDateTime(dateStr, timeStr) {
+  const [hh, mm] = (timeStr || '00:00').split(':');
+  return `${dateStr.replace(/-/g, '')}T${hh.padStart(2, '0')}${mm.padStart(2, '0')}00`;
+}
+
+export function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Stable per-service UID: the same date/time/service keeps its UID across PDF revisions. Services from
+// sources other than the primary one pass their source id, so two foundations' services can't collide.
+export function serviceUid(dateStr, time, serviceTitle, sourceId = null) {
+  const base = `${dateStr}|${time}|${(serviceTitle || '').trim().toLowerCase()}`;
+  const key = sourceId ? `${sourceId}|${base}` : base;
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  return `${hash}@${UID_DOMAIN}`;
+}
+
+function contentHash(event) {
+  return crypto.createHash('sha1')
+    .update([event.summary, event.description, event.location || ''].join('\n'))
+    .digest('hex');
+}
+
+// Carry SEQUENCE/LAST-MODIFIED forward between refreshes, bumping when an event's content changes
+export function updateRevisions(events, previous, now) {
+  const revisions = {};
+  for (const event of events) {
+    const hash = contentHash(event);
+    const prev = previous ? previous[event.uid] : null;
+    if (!prev) {
+      revisions[event.uid] = { hash, sequence: 0, lastModified: now.toISOString() };
+    } else if (prev.hash !== hash) {
+      revisions[event.uid] = { hash, sequence: prev.sequence + 1, lastModified: now.toISOString() };
+    } else {
+      revisions[event.uid] = prev;
+    }
+  }
+  return revisions;
+}
+
+export function buildCalendar({ name, timezone, refreshHours, events, revisions, now }) {
+  const tzBlock = VTIMEZONES[timezone];
+  const stamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+    `X-PUBLISHED-TTL:PT${refreshHours}H`
+  ];
+  if (tzBlock) lines.push(...tzBlock);
+
+  for (const event of events) {
+    const rev = (revisions && revisions[event.uid]) || { sequence: 0, lastModified: now.toISOString() };
+    const start = formatLocalDateTime(event.date, event.time);
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(`LAST-MODIFIED:${formatUtc(new Date(rev.lastModified))}`);
+    lines.push(`SEQUENCE:${rev.sequence}`);
+    // Zones without a bundled VTIMEZONE fall back to UTC start times
+    lines.push(tzBlock ? `DTSTART;TZID=${timezone}:${start}` : `DTSTART:${formatUtc(event.start)}`);
+    lines.push(`DURATION:PT${event.durationMinutes || 60}M`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('STATUS:CONFIRMED');
+    lines.push('TRANSP:OPAQUE');
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,23 @@
+// Library entry point: parse music list PDFs, select services and format them without the HTTP server
+//
+//   import { parseMusicList, nextService, createFormatter } from 'cathedral-music-parser';
+//   const { services } = await parseMusicList(await fs.readFile('list.pdf'));
+//   const next = nextService(services, { now: new Date(), choirs: ['songmen'] });
+//   console.log(createFormatter().formatServiceHuman(next));
+
+export { parseMusicList, parsePDFBuffer, dedupeServices, normalizePieceTitle, classifyPiece, parseDateRange, inferDayDate, DEFAULT_LAYOUT } from './parser.js';
+export { DEFAULT_MUSIC_LIST_URL, DEFAULT_LINK_PATTERN, discoverMusicLists } from './discovery.js';
+export { DEFAULT_SOURCES_PATH, SOURCE_ADAPTERS, createSource, compileSources, loadSources, defaultSources, parseSourceQuery, matchesSources } from './sources.js';
+export { GRACE_MINUTES, upcomingServices, nextService, dayServices, weekServices, weeksAhead, servicesInRange } from './selectors.js';
+export { CALENDAR_LOCATION, DEFAULT_TIMEZONE, createFormatter, serviceDateString, serviceStart, servicesCsv } from './format.js';
+export { CHOIR_FORMATIONS, SONGMEN, choirLabel, matchesChoirs, parseChoirFormations, parseChoirQuery } from './choirs.js';
+export { buildCalendar } from './ics.js';
+export { MAX_CHANGE_REVISIONS, MAX_PUBLICATIONS, createMusicLists } from './music-lists.js';
+export { buildAtomFeed, buildRssFeed } from './feed.js';
+export { PHONE_FAMILIES, detectPhoneFamily, phoneMenuScreen, phoneNextScreen, phoneWeekScreen, phoneServiceScreen, ciscoTextScreen } from './phones.js';
+export { parsePiece } from './pieces.js';
+export { parsePsalms, formatPsalm } from './psalms.js';
+export { splitServiceNotes, isBroadcastNote } from './notes.js';
+export { DEFAULT_HYMNAL_PATH, loadHymnal, compileHymnal } from './hymns.js';
+export { DEFAULT_ALIASES_PATH, loadAliases, compileAliases } from './aliases.js';
+export { addDays, localDateString, parseInstant } from './timezone.js';
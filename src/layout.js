@@ -0,0 +1,169 @@
+// Layout-aware text extraction from pdf.js text items: rows that tolerate baseline jitter,
+// cells split at wide gaps, side-by-side page columns and a right-hand composer column
+
+const ROW_TOLERANCE = 0.35; // of font size: baselines this close are one row
+const CELL_GAP = 1.5; // of font size: wider gaps start a new cell
+const JOIN_GAP = 0.1; // of font size: narrower gaps join items without a space
+const GUTTER_MIN = 2; // of median font size
+const GUTTER_CROSSINGS = 0.1; // share of rows that may cross a gutter (centred headings)
+const COMPOSER_MAX_CHARS = 30; // median cell length in a composer column
+const COMPOSER_MAX_SHARE = 0.35; // composer column width / content width
+const COMPOSER_ALIGN = 2; // of font size: composer cells start or end this close together
+const COMPOSER_MIN_ROWS = 0.6; // share of multi-cell rows whose last cell is in the column
+const MAX_PAGE_WIDTH = 14400; // points (200 inches, the largest page PDF allows): the bounds without a page box
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+// pdf.js items -> { x, y, xEnd, size, text }; width is estimated when the font gives none
+export function toLayoutItems(pdfItems) {
+  return pdfItems
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const size = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+      const x = item.transform[4];
+      const width = item.width > 0 ? item.width : item.str.length * size * 0.5;
+      return { x, y: item.transform[5], xEnd: x + width, size, text: item.str };
+    });
+}
+
+function groupRows(items) {
+  const rows = [];
+  for (const item of [...items].sort((a, b) => b.y - a.y || a.x - b.x)) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= Math.max(1, item.size * ROW_TOLERANCE)) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, items: [item] });
+    }
+  }
+  for (const row of rows) row.cells = splitCells(row.items);
+  return rows;
+}
+
+function splitCells(items) {
+  const cells = [];
+  for (const item of [...items].sort((a, b) => a.x - b.x)) {
+    const cell = cells[cells.length - 1];
+    const gap = cell ? item.x - cell.xEnd : Infinity;
+    if (gap > item.size * CELL_GAP) {
+      cells.push({ x: item.x, xEnd: item.xEnd, size: item.size, text: item.text.trim() });
+      continue;
+    }
+    cell.text += gap < item.size * JOIN_GAP ? item.text : ` ${item.text}`;
+    cell.text = cell.text.replace(/\s+/g, ' ').trim();
+    cell.xEnd = Math.max(cell.xEnd, item.xEnd);
+  }
+  return cells;
+}
+
+// Vertical bands that (almost) no row crosses, with content on both sides. Every cell starts inside
+// box, and the coverage array never reaches past its right edge, however far a cell runs.
+function findGutters(rows, minWidth, box) {
+  const cells = rows.flatMap(row => row.cells);
+  const left = Math.floor(Math.min(...cells.map(c => c.x)));
+  const right = Math.ceil(Math.min(box.right, Math.max(...cells.map(c => c.xEnd))));
+  const coverage = new Array(right - left + 1).fill(0);
+  for (const row of rows) {
+    const covered = new Uint8Array(coverage.length);
+    for (const cell of row.cells) {
+      const end = Math.min(Math.ceil(cell.xEnd), right + 1);
+      for (let x = Math.floor(cell.x); x < end; x++) covered[x - left] = 1;
+    }
+    covered.forEach((c, i) => { coverage[i] += c; });
+  }
+
+  const threshold = Math.floor(rows.length * GUTTER_CROSSINGS);
+  const gutters = [];
+  let start = null;
+  for (let i = 0; i <= coverage.length; i++) {
+    const empty = i < coverage.length && coverage[i] <= threshold;
+    if (empty && start === null) start = i;
+    if (!empty && start !== null) {
+      if (start > 0 && i < coverage.length && i - start >= minWidth) {
+        gutters.push({ start: left + start, end: left + i });
+      }
+      start = null;
+    }
+  }
+  return { gutters, left, right };
+}
+
+function cellsBetween(rows, from, to) {
+  return rows.flatMap(row => row.cells).filter(cell => cell.x >= from && cell.x < to);
+}
+
+// A gutter with a narrow column of short names to its right, next to longer titles, is a
+// composer column rather than a gap between page columns
+function isComposerGutter(rows, gutter, prevEdge, nextEdge, contentWidth) {
+  const rightCells = cellsBetween(rows, gutter.end, nextEdge);
+  const leftCells = cellsBetween(rows, prevEdge, gutter.start);
+  if (rightCells.length === 0 || leftCells.length === 0) return false;
+  const width = Math.max(...rightCells.map(c => c.xEnd)) - Math.min(...rightCells.map(c => c.x));
+  const rightLength = median(rightCells.map(c => c.text.length));
+  return rightLength <= COMPOSER_MAX_CHARS
+    && width <= contentWidth * COMPOSER_MAX_SHARE
+    && rightLength < median(leftCells.map(c => c.text.length));
+}
+
+// The last cell of multi-cell rows is a composer column when those cells are short and
+// line up on their left or right edge (left- or right-aligned names)
+function findComposerCells(rowCells) {
+  const multi = rowCells.filter(cells => cells.length >= 2);
+  if (multi.length < 2) return new Set();
+  const lasts = multi.map(cells => cells[cells.length - 1]);
+  if (median(lasts.map(c => c.text.length)) > COMPOSER_MAX_CHARS) return new Set();
+
+  const tolerance = COMPOSER_ALIGN * median(lasts.map(c => c.size));
+  const startX = median(lasts.map(c => c.x));
+  const endX = median(lasts.map(c => c.xEnd));
+  const byStart = lasts.filter(c => Math.abs(c.x - startX) <= tolerance);
+  const byEnd = lasts.filter(c => Math.abs(c.xEnd - endX) <= tolerance);
+  const aligned = byStart.length >= byEnd.length ? byStart : byEnd;
+  return aligned.length >= multi.length * COMPOSER_MIN_ROWS ? new Set(aligned) : new Set();
+}
+
+// Lines in reading order (each page column top to bottom, left to right).
+// Rows with a composer column carry title and composer separately; text is always the whole row.
+// pageBox: the page's [x0, y0, x1, y1] (pdf.js page.view); text starting off the page is dropped.
+export function extractLines(pdfItems, { pageBox = null } = {}) {
+  const box = pageBox
+    ? { left: Math.min(pageBox[0], pageBox[2]), right: Math.max(pageBox[0], pageBox[2]) }
+    : { left: -MAX_PAGE_WIDTH, right: MAX_PAGE_WIDTH };
+  const items = toLayoutItems(pdfItems).filter(item => item.x >= box.left && item.x < box.right);
+  if (items.length === 0) return [];
+  const rows = groupRows(items);
+  const { gutters, left, right } = findGutters(rows, GUTTER_MIN * median(items.map(i => i.size)), box);
+
+  const flows = [];
+  let flowStart = left;
+  gutters.forEach((gutter, i) => {
+    const prevEdge = i === 0 ? left : gutters[i - 1].end;
+    const nextEdge = i === gutters.length - 1 ? right + 1 : gutters[i + 1].start;
+    if (!isComposerGutter(rows, gutter, prevEdge, nextEdge, right - left)) {
+      flows.push({ start: flowStart, end: gutter.end });
+      flowStart = gutter.end;
+    }
+  });
+  flows.push({ start: flowStart, end: right + 1 });
+
+  const lines = [];
+  for (const flow of flows) {
+    const rowCells = rows
+      .map(row => row.cells.filter(cell => cell.x >= flow.start && cell.x < flow.end))
+      .filter(cells => cells.length > 0);
+    const composerCells = findComposerCells(rowCells);
+    for (const cells of rowCells) {
+      const last = cells[cells.length - 1];
+      const split = cells.length >= 2 && composerCells.has(last);
+      lines.push({
+        text: cells.map(c => c.text).join(' '),
+        title: split ? cells.slice(0, -1).map(c => c.text).join(' ') : null,
+        composer: split ? last.text : null
+      });
+    }
+  }
+  return lines;
+}
@@ -0,0 +1,619 @@
+// Loaded music lists: refresh from the configured sources, merge them and keep the last good data,
+// then answer the queries the routes make (filters, selections, changes, search, repertoire, feeds,
+// the calendar and parse reports). The HTTP server is one consumer; the same object works without it.
+import fs from 'fs/promises';
+import { buildCalendar, updateRevisions } from './ics.js';
+import { loadSnapshot, saveSnapshot } from './snapshot.js';
+import { PIECE_CATEGORIES, describeChange, diffServices } from './changes.js';
+import { buildParseReport } from './diagnostics.js';
+import { listEntryId, feedId, serviceEntryId } from './feed.js';
+import { searchServices } from './search.js';
+import { emptyAliases, isKnownComposer } from './aliases.js';
+import { psalmComposers } from './psalms.js';
+import { emptyHymnal } from './hymns.js';
+import { OTHER_SERVICE_TYPE, defaultServiceTypes, matchesServiceTypes, parseServiceTypeQuery, serviceTypeOf } from './service-types.js';
+import { dedupeServices } from './parser.js';
+import { SONGMEN, choirLabel, matchesChoirs, parseChoirQuery } from './choirs.js';
+import { DEFAULT_TIMEZONE, createFormatter, serviceDateString } from './format.js';
+import { defaultSources, matchesSources, parseSourceQuery } from './sources.js';
+import * as selectors from './selectors.js';
+import { addDays, localDateString, zonedTimeToInstant } from './timezone.js';
+
+export const MAX_CHANGE_REVISIONS = 50;
+export const MAX_PUBLICATIONS = 20;
+
+function dateOnly(date) {
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
+function emptyData() {
+  return {
+    services: [],
+    sourceUrl: '',
+    pdfUrls: [],
+    // Per source: { id, name, url, pdfUrls, endDate, error }
+    sources: [],
+    endDate: null,
+    lastFetch: null,
+    isStale: false,
+    degraded: false,
+    lastError: null,
+    lastAttempt: null,
+    failureCount: 0,
+    error: null,
+    revisions: {},
+    changes: [],
+    // Music list PDFs as first seen, newest first: { url, sourceId, discoveredAt }
+    publications: [],
+    // Day headers whose printed weekday doesn't match the inferred date
+    dateWarnings: []
+  };
+}
+
+// sources (sources.js): the first is the primary one. localPdfPaths: PDFs read from disk instead of
+// the primary source's page. dataDir: where the snapshot is kept (null: memory only). archive
+// (archive.js) and events ({ emit(event, data, at) }, e.g. a webhook dispatcher) are optional.
+// now() is the reference time for every query.
+export function createMusicLists({
+  sources = defaultSources(),
+  aliases = emptyAliases(),
+  hymnal = emptyHymnal(),
+  serviceTypes = defaultServiceTypes(),
+  timeZone = DEFAULT_TIMEZONE,
+  localPdfPaths = [],
+  dataDir = null,
+  archive = null,
+  events = null,
+  now = () => new Date(),
+  log = console
+} = {}) {
+  const formatter = createFormatter({ aliases, hymnal, timeZone, location: sources[0].location, sources });
+  let data = emptyData();
+
+  function emit(event, payload, at) {
+    if (events) events.emit(event, payload, at);
+  }
+
+  function parseOptions(trace = null) {
+    return { aliases, serviceTypes, now: now(), trace };
+  }
+
+  // A local PDF from localPdfPaths, or any other URL through the source (which never reads files)
+  async function parsePDF(source, pdfUrl, trace = null) {
+    try {
+      const localPath = localPdfPaths.find(p => pdfUrl === `file://${p}`);
+      const pdf = localPath ? await fs.readFile(localPath) : await source.fetch(pdfUrl);
+      return await source.parse(pdf, parseOptions(trace));
+    } catch (error) {
+      throw new Error(`Failed to parse PDF (${pdfUrl || 'unknown'}): ${error.message}`);
+    }
+  }
+
+  // One source's services: localPdfPaths for the primary source, otherwise the latest lists
+  // discovered on the source's page
+  async function loadSource(source, primary) {
+    const loaded = { id: source.id, name: source.name, url: source.url, pdfUrls: [], endDate: null, services: [], warnings: [], error: null };
+    const endDates = [];
+
+    if (primary && localPdfPaths.length) {
+      for (const p of localPdfPaths) {
+        // Check if path exists and is a file
+        const stats = await fs.stat(p).catch(() => null);
+        if (!stats) {
+          throw new Error(`PDF path does not exist: ${p}`);
+        }
+        if (stats.isDirectory()) {
+          throw new Error(`PDF path is a directory, not a file: ${p}`);
+        }
+
+        const parsed = await source.parse(await fs.readFile(p), parseOptions());
+        loaded.services.push(...parsed.services);
+        if (parsed.endDate) endDates.push(parsed.endDate);
+        loaded.warnings.push(...parsed.warnings.map(warning => `${p}: ${warning}`));
+        loaded.pdfUrls.push(`file://${p}`);
+      }
+    } else {
+      const discovered = await source.discover({ now: now() });
+      if (!discovered || discovered.length === 0) {
+        throw new Error('No PDF link found on the music list page');
+      }
+      for (const entry of discovered.slice(0, source.maxPdfs)) {
+        const parsed = await parsePDF(source, entry.url);
+        loaded.services.push(...parsed.services);
+        if (parsed.endDate) endDates.push(parsed.endDate);
+        else if (entry.endDate) endDates.push(entry.endDate);
+        loaded.warnings.push(...parsed.warnings.map(warning => `${entry.url}: ${warning}`));
+        loaded.pdfUrls.push(entry.url);
+      }
+    }
+
+    loaded.endDate = endDates.length ? new Date(Math.max(...endDates.map(d => d.getTime()))) : null;
+    return loaded;
+  }
+
+  // The list covers the whole of its end date in local time
+  function listExpiry(endDate) {
+    return zonedTimeToInstant(addDays(dateOnly(endDate), 1), '00:00', timeZone);
+  }
+
+  function today() {
+    return localDateString(now(), timeZone);
+  }
+
+  // Archived form of a service: plain date string and structured pieces. The primary source's
+  // records carry no sourceId so archives from before sources were configurable stay comparable.
+  function archiveRecord(service) {
+    return {
+      date: serviceDateString(service),
+      time: service.time,
+      service: service.service,
+      choir: service.choir,
+      formations: service.formations || [],
+      pieces: formatter.servicePieceDetails(service),
+      ...(service.sourceId && service.sourceId !== sources[0].id ? { sourceId: service.sourceId } : {})
+    };
+  }
+
+  // Date spans the lists loaded in this refresh cover, per source, from their first service to
+  // their end date; a failed source's kept services cover nothing
+  function archiveCoverage(loadedSources) {
+    return loadedSources.filter(loaded => !loaded.error).flatMap(loaded => {
+      const dates = loaded.services.filter(service => service.date).map(serviceDateString).sort();
+      if (!dates.length) return [];
+      const endDate = dateOnly(loaded.endDate);
+      return [{
+        sourceId: loaded.id === sources[0].id ? null : loaded.id,
+        from: dates[0],
+        to: endDate && endDate > dates[dates.length - 1] ? endDate : dates[dates.length - 1]
+      }];
+    });
+  }
+
+  async function refresh() {
+    data.lastAttempt = now();
+    try {
+      // A source that fails keeps its last good services while the others update; only when every
+      // source fails is the whole refresh a failure
+      const loadedSources = [];
+      for (const [index, source] of sources.entries()) {
+        try {
+          loadedSources.push(await loadSource(source, index === 0));
+        } catch (error) {
+          const previous = (data.sources || []).find(loaded => loaded.id === source.id);
+          loadedSources.push({
+            id: source.id,
+            name: source.name,
+            url: source.url,
+            pdfUrls: previous ? previous.pdfUrls : [],
+            endDate: previous ? previous.endDate : null,
+            services: data.services.filter(service => service.sourceId === source.id),
+            warnings: [],
+            error
+          });
+        }
+      }
+      const failed = loadedSources.filter(loaded => loaded.error);
+      if (failed.length === loadedSources.length) {
+        throw failed.length === 1 ? failed[0].error : new Error(failed.map(loaded => `${loaded.id}: ${loaded.error.message}`).join('; '));
+      }
+      const sourceErrors = failed.map(loaded => `${loaded.id}: ${loaded.error.message}`).join('; ');
+
+      const pdfUrls = loadedSources.flatMap(loaded => loaded.pdfUrls);
+      const endDates = loadedSources.map(loaded => loaded.endDate).filter(Boolean);
+      const allServices = loadedSources.flatMap(loaded => loaded.services);
+      const dateWarnings = loadedSources.flatMap(loaded => loaded.warnings);
+
+      const services = dedupeServices(allServices);
+      const finalEndDate = endDates.length ? new Date(Math.max(...endDates.map(d => d.getTime()))) : null;
+      const refreshedAt = now();
+      const isStale = Boolean(finalEndDate && refreshedAt >= listExpiry(finalEndDate));
+
+      // Keep every parsed service; queries filter by choir formation
+      const sorted = services
+        .filter(service => service.date && service.time)
+        .sort((a, b) => formatter.serviceStart(a) - formatter.serviceStart(b));
+
+      // Bump calendar SEQUENCE for services whose content changed since the last refresh
+      const revisions = updateRevisions(sorted.map(formatter.calendarEvent), data.revisions, refreshedAt);
+
+      // Record what a re-uploaded or newly published list changed
+      const detected = diffServices(data.services, sorted);
+      const changes = detected.length
+        ? [{ detectedAt: refreshedAt.toISOString(), pdfUrls, changes: detected }, ...data.changes].slice(0, MAX_CHANGE_REVISIONS)
+        : data.changes;
+      if (detected.length) {
+        log.log(`Detected ${detected.length} change(s) since previous refresh`);
+      }
+
+      // Remember when each PDF was first seen, for the feeds
+      const knownPdfUrls = new Set((data.publications || []).map(publication => publication.url));
+      const published = loadedSources.flatMap(loaded => loaded.pdfUrls
+        .filter(url => !knownPdfUrls.has(url))
+        .map(url => ({ url, sourceId: loaded.id, discoveredAt: refreshedAt.toISOString() })));
+      const publications = [...published, ...(data.publications || [])].slice(0, MAX_PUBLICATIONS);
+      for (const warning of dateWarnings) {
+        log.warn(`Weekday mismatch: ${warning}`);
+      }
+
+      if (sourceErrors) {
+        log.error(`Failed to refresh source(s), keeping their previous services: ${sourceErrors}`);
+      }
+
+      const previous = data;
+      data = {
+        services: sorted,
+        sourceUrl: sources[0].url,
+        pdfUrls,
+        sources: loadedSources.map(loaded => ({
+          id: loaded.id,
+          name: loaded.name,
+          url: loaded.url,
+          pdfUrls: loaded.pdfUrls,
+          endDate: loaded.endDate,
+          error: loaded.error ? loaded.error.message : null
+        })),
+        endDate: finalEndDate,
+        lastFetch: refreshedAt,
+        isStale,
+        degraded: Boolean(sourceErrors),
+        lastError: sourceErrors || null,
+        lastAttempt: refreshedAt,
+        failureCount: 0,
+        error: null,
+        revisions,
+        changes,
+        publications,
+        dateWarnings
+      };
+
+      // Announce what changed; first-ever loads (no previous data) are not announced
+      if (previous.lastFetch) {
+        const newPdfUrls = pdfUrls.filter(url => !(previous.pdfUrls || []).includes(url));
+        if (newPdfUrls.length) {
+          emit('list.published', { pdf_urls: newPdfUrls, end_date: dateOnly(finalEndDate) }, refreshedAt);
+        }
+        if (detected.length) {
+          emit('services.changed', {
+            changes: detected.map(change => ({ ...change, summary: describeChange(change) }))
+          }, refreshedAt);
+        }
+        if (isStale && !previous.isStale) {
+          emit('list.stale', { end_date: dateOnly(finalEndDate) }, refreshedAt);
+        }
+      }
+
+      if (dataDir) {
+        try {
+          await saveSnapshot(dataDir, data);
+        } catch (error) {
+          log.error('Failed to save snapshot:', error.message);
+        }
+      }
+      if (archive) {
+        try {
+          await archive.record(sorted.map(archiveRecord), refreshedAt, { coverage: archiveCoverage(loadedSources), today: today() });
+        } catch (error) {
+          log.error('Failed to update repertoire archive:', error.message);
+        }
+      }
+
+      const songmenCount = sorted.filter(service => matchesChoirs(service, SONGMEN)).length;
+      log.log(`Data refreshed: ${sorted.length} services (${songmenCount} Songmen), stale: ${isStale}`);
+    } catch (error) {
+      const failedAt = now();
+      data.failureCount = (data.failureCount || 0) + 1;
+      if (data.failureCount === 1) {
+        // Announce only the first failure of a run, not every retry
+        emit('refresh.failed', { error: error.message, degraded: data.services.length > 0 }, failedAt);
+      }
+      if (data.services.length > 0) {
+        // Keep serving the last good data, flagged as degraded
+        const wasStale = data.isStale;
+        data.degraded = true;
+        data.lastError = error.message;
+        data.isStale = Boolean(data.endDate && failedAt >= listExpiry(data.endDate));
+        if (data.isStale && !wasStale) {
+          emit('list.stale', { end_date: dateOnly(data.endDate) }, failedAt);
+        }
+      } else {
+        data.error = error.message;
+      }
+      log.error('Failed to refresh data:', error);
+    }
+  }
+
+  // Seed the data from the last good snapshot so a restart during an outage still serves it
+  async function restore() {
+    if (!dataDir) return;
+    try {
+      const snapshot = await loadSnapshot(dataDir);
+      if (!snapshot) return;
+      data = {
+        ...data,
+        ...snapshot,
+        // Type with the current vocabulary; older snapshots have no serviceType
+        // Snapshots from before sources were configurable hold the primary source's services only
+        services: snapshot.services.map(service => ({
+          ...service,
+          sourceId: service.sourceId || sources[0].id,
+          serviceType: serviceTypeOf(service.service, serviceTypes) || OTHER_SERVICE_TYPE
+        })),
+        isStale: Boolean(snapshot.endDate && now() >= listExpiry(snapshot.endDate)),
+        error: null
+      };
+      log.log(`Loaded snapshot: ${snapshot.services.length} services from ${snapshot.lastFetch ? snapshot.lastFetch.toISOString() : 'unknown'}`);
+    } catch (error) {
+      log.error('Failed to load snapshot:', error.message);
+    }
+  }
+
+  // ?choir=, ?type= and ?source= filters; a preset choir list (the /songmen routes) ignores ?choir=
+  function parseFilters(query, fallback, preset = null) {
+    const { choirs, error } = preset ? { choirs: preset } : parseChoirQuery(query?.choir, fallback);
+    if (error) return { error };
+    const { types, error: typeError } = parseServiceTypeQuery(query?.type, serviceTypes);
+    if (typeError) return { error: typeError };
+    const { sources: sourceIds, error: sourceError } = parseSourceQuery(query?.source, sources);
+    if (sourceError) return { error: sourceError };
+    return { choirs, types, sourceIds };
+  }
+
+  function selection({ choirs = null, types = null, sourceIds = null } = {}) {
+    return { now: now(), timeZone, choirs, types, sources: sourceIds };
+  }
+
+  function filtered(service, { choirs = null, types = null, sourceIds = null } = {}) {
+    return matchesChoirs(service, choirs) && matchesServiceTypes(service, types) && matchesSources(service, sourceIds);
+  }
+
+  // Selections take parseFilters output. Upcoming ones are empty once the list has expired.
+  function upcoming(filters) {
+    return data.isStale ? [] : selectors.upcomingServices(data.services, selection(filters));
+  }
+
+  function next(filters) {
+    return data.isStale ? null : selectors.nextService(data.services, selection(filters));
+  }
+
+  function week(filters, weeks = 0) {
+    return data.isStale ? [] : selectors.weekServices(data.services, { ...selection(filters), weeks });
+  }
+
+  function day(dateStr, filters) {
+    return data.isStale ? [] : selectors.dayServices(data.services, dateStr, selection(filters));
+  }
+
+  function tomorrow(filters) {
+    return day(addDays(today(), 1), filters);
+  }
+
+  // Weeks from this one to a service's, for the phone week browser
+  function weeksAhead(service, filters) {
+    return selectors.weeksAhead(serviceDateString(service), selection(filters));
+  }
+
+  // Every service between two local dates, past or upcoming, regardless of staleness
+  function range(from, to, filters = {}) {
+    return selectors.servicesInRange(data.services, { from, to, timeZone, choirs: filters.choirs, types: filters.types, sources: filters.sourceIds });
+  }
+
+  // Any loaded service, past or upcoming, by the id in page, feed and phone links
+  function findService(id) {
+    return data.services.find(service => formatter.serviceId(service) === id) || null;
+  }
+
+  // Expired or failed: routes show the stale message instead of services
+  function unavailable() {
+    return Boolean(data.isStale || data.error);
+  }
+
+  function staleMessage() {
+    if (!data.endDate) return 'STALE: Music list unavailable — no newer list published.';
+    return `STALE: Music list ended ${dateOnly(data.endDate)} — no newer list published.`;
+  }
+
+  // Name for titles: the one source a ?source= filter selects, otherwise the primary source
+  function sourceName(sourceIds = null) {
+    const selected = sourceIds && sourceIds.length === 1 ? sources.find(source => source.id === sourceIds[0]) : null;
+    return (selected || sources[0]).name;
+  }
+
+  // Changes between revisions of the music list (newest first); since (YYYY-MM-DD) limits by detection date
+  function changes(since = null) {
+    const from = typeof since === 'string' && /^\d{4}-\d{2}-\d{2}/.test(since) ? since : null;
+    return (data.changes || []).filter(rev => !from || rev.detectedAt >= from);
+  }
+
+  // iCalendar feed of every service matching the filters, past and upcoming
+  function calendar(filters, { refreshHours } = {}) {
+    const calendarEvents = data.services
+      .filter(service => service.date && service.time && filtered(service, filters))
+      .map(formatter.calendarEvent);
+    return buildCalendar({
+      name: `${sourceName(filters.sourceIds)} ${choirLabel(filters.choirs)}`,
+      timezone: timeZone,
+      refreshHours,
+      events: calendarEvents,
+      revisions: data.revisions,
+      now: now()
+    });
+  }
+
+  // Atom/RSS feed content (feed.js builds the markup): newly published lists and upcoming services,
+  // linked under baseUrl; a service entry's updated time is its calendar LAST-MODIFIED
+  function feed(filters, { baseUrl, selfUrl }) {
+    const { choirs, types, sourceIds } = filters;
+    const lastFetch = data.lastFetch || now();
+    const lists = (data.publications || [])
+      .filter(publication => !sourceIds || sourceIds.includes(publication.sourceId || sources[0].id))
+      .map(publication => {
+        const source = sources.find(entry => entry.id === publication.sourceId) || sources[0];
+        return {
+          id: listEntryId(publication.url),
+          title: `New music list: ${source.name}`,
+          link: publication.url,
+          updated: publication.discoveredAt ? new Date(publication.discoveredAt) : lastFetch,
+          content: `A new music list has been published: ${publication.url}`
+        };
+      });
+    const services = (data.error ? [] : upcoming(filters)).map(service => {
+      const revision = (data.revisions || {})[formatter.calendarEvent(service).uid];
+      return {
+        id: serviceEntryId(formatter.serviceId(service)),
+        title: `${serviceDateString(service)} ${service.time} ${service.service}`,
+        link: `${baseUrl}/html/service/${formatter.serviceId(service)}`,
+        updated: revision ? new Date(revision.lastModified) : lastFetch,
+        content: formatter.formatServiceHuman(service)
+      };
+    });
+    return {
+      id: feedId({ choirs, types, sources: sourceIds }),
+      title: `${sourceName(sourceIds)} ${choirLabel(choirs)}`,
+      link: `${baseUrl}/html${choirs ? `?choir=${choirs.join(',')}` : ''}`,
+      selfUrl,
+      now: lastFetch,
+      entries: [...lists, ...services]
+    };
+  }
+
+  // Composer/arranger strings in the loaded services that the alias dictionary doesn't know
+  function unrecognisedComposers() {
+    const found = new Map();
+    for (const service of data.services) {
+      const details = formatter.servicePieceDetails(service);
+      for (const category of PIECE_CATEGORIES) {
+        for (const piece of details[category]) {
+          const chants = piece.psalm && !piece.composer ? psalmComposers(piece.psalm).map(name => ['chant', name]) : [];
+          for (const [role, name] of [['composer', piece.composer], ['arranger', piece.arranger], ...chants]) {
+            if (!name || isKnownComposer(name, aliases)) continue;
+            const entry = found.get(name) || { name, role, count: 0, examples: [] };
+            entry.count++;
+            if (entry.examples.length < 3) {
+              entry.examples.push({ date: serviceDateString(service), service: service.service, piece: piece.text });
+            }
+            found.set(name, entry);
+          }
+        }
+      }
+    }
+    return Array.from(found.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  // Repertoire history: ?piece= and/or ?composer= across every archived service, past and upcoming
+  function repertoire(query) {
+    const piece = typeof query?.piece === 'string' ? query.piece.trim() : '';
+    const composer = typeof query?.composer === 'string' ? query.composer.trim() : '';
+    if (!piece && !composer) return { error: 'Provide ?piece= and/or ?composer=' };
+    if (!archive) return { error: 'No repertoire archive configured' };
+
+    const todayStr = today();
+    const performances = archive.lookup({ piece, composer }).map(p => ({ ...p, when: p.date < todayStr ? 'past' : 'upcoming' }));
+    const past = performances.filter(p => p.when === 'past');
+    const future = performances.filter(p => p.when === 'upcoming');
+    return {
+      piece: piece || null,
+      composer: composer || null,
+      today: todayStr,
+      last: past.length ? past[past.length - 1] : null,
+      next: future.length ? future[0] : null,
+      performances
+    };
+  }
+
+  // Full-text search across every loaded service (past and upcoming, regardless of staleness)
+  function search(query) {
+    const q = typeof query?.q === 'string' ? query.q.trim() : '';
+    if (!q) return { error: 'Provide ?q=' };
+    const from = query.from ?? null;
+    const to = query.to ?? null;
+    for (const value of [from, to]) {
+      if (value !== null && !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { error: `Invalid date: ${value} (use YYYY-MM-DD)` };
+    }
+    const category = query.category ? String(query.category).toLowerCase() : null;
+    if (category && !PIECE_CATEGORIES.includes(category)) {
+      return { error: `Unknown category: ${category} (use ${PIECE_CATEGORIES.join(', ')})` };
+    }
+    const filters = parseFilters(query, null);
+    if (filters.error) return { error: filters.error };
+
+    const entries = data.services
+      .filter(service => service.date && filtered(service, filters))
+      .map(service => ({
+        date: serviceDateString(service),
+        time: service.time,
+        service: service.service,
+        choir: service.choir,
+        formations: service.formations || [],
+        pieces: formatter.servicePiecesJson(service)
+      }));
+    return { q, from, to, category, results: searchServices(entries, { q, from, to, category }) };
+  }
+
+  // Re-parse the loaded PDFs with a per-line trace; ?pdf=N limits to one of pdfUrls
+  async function parseReports(query) {
+    const urls = data.pdfUrls || [];
+    if (urls.length === 0) return { status: 503, error: 'No music list PDF loaded yet' };
+    let selected = urls;
+    if (query?.pdf !== undefined) {
+      const index = Number(query.pdf);
+      if (!Number.isInteger(index) || index < 0 || index >= urls.length) {
+        return { status: 400, error: `Invalid pdf index: ${query.pdf} (0-${urls.length - 1})` };
+      }
+      selected = [urls[index]];
+    }
+
+    const reports = [];
+    for (const url of selected) {
+      const trace = [];
+      const loaded = (data.sources || []).find(entry => entry.pdfUrls.includes(url));
+      const source = (loaded && sources.find(entry => entry.id === loaded.id)) || sources[0];
+      const parsed = await parsePDF(source, url, trace);
+      reports.push(buildParseReport(url, parsed, trace));
+    }
+    return { reports };
+  }
+
+  // The source block of every JSON response
+  function sourceJson() {
+    return {
+      music_list_url: data.sourceUrl,
+      end_date: dateOnly(data.endDate),
+      fetched_at: data.lastFetch ? data.lastFetch.toISOString() : null,
+      degraded: data.degraded
+    };
+  }
+
+  return {
+    formatter,
+    sources,
+    aliases,
+    hymnal,
+    serviceTypes,
+    timeZone,
+    now,
+    data: () => data,
+    refresh,
+    restore,
+    parseFilters,
+    upcoming,
+    next,
+    week,
+    day,
+    tomorrow,
+    weeksAhead,
+    range,
+    findService,
+    today,
+    unavailable,
+    staleMessage,
+    sourceName,
+    changes,
+    calendar,
+    feed,
+    unrecognisedComposers,
+    repertoire,
+    search,
+    parseReports,
+    sourceJson
+  };
+}
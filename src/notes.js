@@ -0,0 +1,59 @@
+// Service annotations in music lists: who preaches or officiates, and notes such as "followed by
+// Benediction" or "broadcast live", kept out of the piece lists
+
+const ROLES = {
+  preacher: 'preacher',
+  officiant: 'officiant',
+  president: 'officiant',
+  presider: 'officiant',
+  celebrant: 'officiant'
+};
+
+// Where a note starts: a role label ("Preacher:") or a note phrase, at the start of the line or
+// after a space or separator
+const NOTE_START = /(?:^|[\s;,–—-]+)(?=(?:preacher|officiant|president|presider|celebrant)\s*:|(?:sung by|followed by|preceded by|broadcast|live[- ]?stream(?:ed)?|in the presence of|retiring collection)\b)/gi;
+
+const ROLE_NOTE = /^(preacher|officiant|president|presider|celebrant)\s*:\s*(.*)$/i;
+const BROADCAST = /\b(broadcast|live[- ]?stream(?:ed|ing)?|streamed live|BBC|Radio\s*[34])\b/i;
+
+function cleanNote(text) {
+  return text.replace(/^[\s;,–—-]+|[\s;,–—-]+$/g, '').replace(/^\((.*)\)$/, '$1').trim();
+}
+
+// "Stanford in G Preacher: The Dean; followed by Benediction" ->
+// { text: "Stanford in G", notes: [{ kind: 'preacher', text: 'The Dean' }, { kind: 'note', text: 'followed by Benediction' }] }
+// A line that is only notes gives text ''. A whole line in parentheses that starts like a note counts too.
+export function splitServiceNotes(line) {
+  let source = (line || '').trim();
+  const bracketed = source.match(/^\((.*)\)$/);
+  if (bracketed) source = bracketed[1].trim();
+  const starts = [...source.matchAll(NOTE_START)].map(m => m.index);
+  if (!starts.length) return { text: (line || '').trim(), notes: [] };
+  if (bracketed && starts[0] !== 0) return { text: line.trim(), notes: [] };
+
+  const notes = starts
+    .map((start, i) => cleanNote(source.slice(start, starts[i + 1])))
+    .filter(Boolean)
+    .map(note => {
+      const role = note.match(ROLE_NOTE);
+      return role ? { kind: ROLES[role[1].toLowerCase()], text: role[2].trim() } : { kind: 'note', text: note };
+    })
+    .filter(note => note.text);
+  return { text: cleanNote(source.slice(0, starts[0])), notes };
+}
+
+export function isBroadcastNote(text) {
+  return BROADCAST.test(text || '');
+}
+
+// Store notes on a service: the first preacher and officiant, every other note in order
+export function applyServiceNotes(service, notes) {
+  for (const note of notes) {
+    if (note.kind === 'note') {
+      service.notes.push(note.text);
+      if (isBroadcastNote(note.text)) service.broadcast = true;
+    } else if (!service[note.kind]) {
+      service[note.kind] = note.text;
+    }
+  }
+}
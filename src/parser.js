@@ -0,0 +1,597 @@
+// Music list PDF parser: text extraction, service lines, piece classification and normalisation
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { applyAliases, canonicalComposer, emptyAliases } from './aliases.js';
+import { parseChoirFormations } from './choirs.js';
+import { splitHymns } from './hymns.js';
+import { extractLines } from './layout.js';
+import { applyServiceNotes, splitServiceNotes } from './notes.js';
+import { formatPsalm, parsePsalms } from './psalms.js';
+import { OTHER_SERVICE_TYPE, defaultServiceTypes, serviceTypeOf } from './service-types.js';
+
+export function normalizeUnicode(text) {
+  return text.normalize('NFKC')
+    .replace(/ﬁ/g, 'fi')
+    .replace(/ﬂ/g, 'fl')
+    .replace(/\u00AD/g, '') // soft hyphens
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function normalizeOCRArtifacts(text) {
+  let t = text;
+  // Join digits split by spaces (e.g., 89.2 0 -> 89.20)
+  t = t.replace(/(?<=\d)\s+(?=\d)/g, '');
+  // Fix BWV numbers split by spaces (e.g., BWV5 48i -> BWV548i)
+  t = t.replace(/\bBWV\s*(\d+)\s+(\d+[a-z]?)\b/gi, 'BWV$1$2');
+  // Fix Hymn s -> Hymns
+  t = t.replace(/\bHymn\s+s\b/gi, 'Hymns');
+  // Fix split words like V oluntary, S aviour but not musical keys (E flat, D major, etc.)
+  const noJoinNext = new Set(['flat','sharp','major','minor']);
+  t = t.replace(/\b([A-Z])\s+([a-z]{2,})\b/g, (m, a, b) => noJoinNext.has(b) ? m : `${a}${b}`);
+  // Normalise L'Estrange from various broken OCR forms
+  // Handles: "L'Estrange", "L 'Estrange", "L ' Estrange", "L - Estrange", etc.
+  // The OCR can split this many ways - match L, then any combination of spaces/punctuation, then Estrange
+  t = t.replace(/L[\s''`\-—]+Estrange/gi, "L'Estrange");
+  // Fix Mass for — Five Voices Byrd -> Mass for Five Voices — Byrd
+  t = t.replace(/^Mass\s+for\s+—\s+(.+?)\s+([A-Z][A-Za-z''\-]+)$/, 'Mass for $1 — $2');
+  // Also remove stray dash right after "Mass for" so composer formatting can re-add correctly
+  t = t.replace(/\b(Mass\s+for)\s+[—–-]\s+/i, '$1 ');
+  // Remove stray em-dash after preposition "of" (e.g., Accession of — King Charles III)
+  t = t.replace(/\bof\s+—\s+/gi, 'of ');
+  return t;
+}
+
+export function parseTime(timeStr) {
+  const time = timeStr.trim().toLowerCase();
+  let hour, minute;
+  
+  // Handle 4-digit format like "1030", "1530"
+  if (time.match(/^\d{4}$/)) {
+    hour = parseInt(time.substring(0, 2));
+    minute = parseInt(time.substring(2, 4));
+  } else if (time.includes('pm') || time.includes('am')) {
+    const match = time.match(/(\d{1,2})[:.]?(\d{0,2})\s*(am|pm)/);
+    if (match) {
+      hour = parseInt(match[1]);
+      minute = parseInt(match[2] || '0');
+      if (match[3] === 'pm' && hour !== 12) hour += 12;
+      if (match[3] === 'am' && hour === 12) hour = 0;
+    }
+  } else {
+    const match = time.match(/(\d{1,2})[:.]?(\d{2})/);
+    if (match) {
+      hour = parseInt(match[1]);
+      minute = parseInt(match[2]);
+    }
+  }
+  
+  if (hour !== undefined && minute !== undefined) {
+    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+  }
+  return null;
+}
+
+export function parseDate(dateStr, year) {
+  const months = {
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5,
+    july: 6, august: 7, september: 8, october: 9, november: 10, december: 11
+  };
+  
+  // "7 September", "7th Sept", "7 Sep"
+  const match = dateStr.toLowerCase().match(/(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)/);
+  if (match) {
+    const day = parseInt(match[1]);
+    const monthName = match[2];
+    const monthIndex = months[monthName] ?? Object.entries(months).find(([name]) => monthName.length >= 3 && name.startsWith(monthName.replace(/^sept$/, 'sep')))?.[1];
+    if (monthIndex !== undefined) {
+      // Create date at noon UTC to avoid timezone shifts
+      return new Date(Date.UTC(year, monthIndex, day, 12, 0, 0));
+    }
+  }
+  return null;
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "30 November – 11 January 2026" (start year optional) -> { startDate, endDate }; a start month
+// after the end month belongs to the year before
+export function parseDateRange(line) {
+  const m = line.match(/(\d{1,2})(?:st|nd|rd|th)?\s+(\w+)(?:\s+(\d{4}))?\s+[–—-]\s+(\d{1,2})(?:st|nd|rd|th)?\s+(\w+)\s+(\d{4})/);
+  if (!m) return null;
+  const endDate = parseDate(`${m[4]} ${m[5]}`, parseInt(m[6]));
+  if (!endDate) return null;
+  let startDate = parseDate(`${m[1]} ${m[2]}`, m[3] ? parseInt(m[3]) : endDate.getUTCFullYear());
+  if (startDate && !m[3] && startDate > endDate) {
+    startDate = parseDate(`${m[1]} ${m[2]}`, endDate.getUTCFullYear() - 1);
+  }
+  return { startDate, endDate };
+}
+
+// Date for a day header such as "THURSDAY 1 JANUARY", whose year isn't printed. Candidate years
+// are those of the list's range, or around now without one; a date inside the range wins, then
+// one on the printed weekday, then the one nearest the previous header (or now).
+// -> { date, weekdayMatches } or null for an unknown month
+export function inferDayDate(day, month, weekday, { startDate = null, endDate = null, previous = null, now = new Date() } = {}) {
+  const years = startDate && endDate
+    ? [startDate.getUTCFullYear(), endDate.getUTCFullYear()]
+    : [now.getFullYear() - 1, now.getFullYear(), now.getFullYear() + 1];
+  const reference = (previous || now).getTime();
+  const weekdayIndex = weekday ? WEEKDAYS.findIndex(name => name.startsWith(weekday.toLowerCase().slice(0, 3))) : -1;
+  const candidates = [...new Set(years)]
+    .map(year => parseDate(`${day} ${month}`, year))
+    .filter(date => date && date.getUTCDate() === day)
+    .map(date => ({
+      date,
+      inRange: Boolean(startDate && endDate && date >= startDate && date <= endDate),
+      weekdayMatches: weekdayIndex === -1 || date.getUTCDay() === weekdayIndex,
+      distance: Math.abs(date.getTime() - reference) / DAY_MS
+    }))
+    .sort((a, b) => (b.inRange - a.inRange) || (b.weekdayMatches - a.weekdayMatches) || (a.distance - b.distance));
+  if (!candidates.length) return null;
+  return { date: candidates[0].date, weekdayMatches: candidates[0].weekdayMatches };
+}
+
+const SMALL_WORDS = new Set(['a', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'the', 'to', 'with']);
+const ROMAN_NUMERAL = /^(?=[IVXLC])C{0,3}(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/;
+
+function titleCaseWord(word, first) {
+  const lower = word.toLowerCase();
+  if (!first && SMALL_WORDS.has(lower)) return lower;
+  if (ROMAN_NUMERAL.test(word)) return word;
+  // Initialisms such as BVM stay capitals; St and Sts don't
+  if (!/[aeiouy\d]/.test(lower) && !/^sts?$/.test(lower)) return word;
+  return lower.replace(/(^|[-(])(\p{L})/gu, (m, before, letter) => before + letter.toUpperCase());
+}
+
+// Text after the date in a day header ("TRINITY 11", "THE FEAST OF ST MATTHEW") -> "Trinity 11",
+// "The Feast of St Matthew"; mixed-case text is kept as printed. null when there is none.
+export function parseLiturgicalDay(text) {
+  const cleaned = normalizeUnicode(text || '').replace(/^[\s:;,.–—-]+|[\s:;,–—-]+$/g, '');
+  if (!cleaned) return null;
+  if (/\p{Ll}/u.test(cleaned)) return cleaned;
+  return cleaned.split(' ').map((word, i) => titleCaseWord(word, i === 0)).join(' ');
+}
+
+export function normalizePieceTitle(text) {
+  text = normalizeOCRArtifacts(text.trim());
+  // If already contains an em dash, assume "Title — Composer" and leave
+  if (text.includes('—')) return text;
+  // Clean stray dash after "Mass for"
+  text = text.replace(/(Mass\s+for)\s*[—–-]\s*/gi, '$1 ');
+  // Fix cases like "A Prayer of — St Patrick Rutter" -> "A Prayer of St Patrick — Rutter"
+  text = text.replace(/\bof\s+[—–-]\s+(St(?:\.?|aint)?\s+[A-Z][A-Za-z''\-]+)\s+([A-Z][A-Za-z''\-]+)/, 'of $1 — $2');
+  // Collapse odd dash sequences like " - — " -> " — "
+  text = text.replace(/\s+-\s+—\s+/g, ' — ');
+
+  // Handle "Composer: Title" format
+  const colonMatch = text.match(/^(.+?):\s*(.+)$/);
+  if (colonMatch) {
+    return `${colonMatch[2].trim()} — ${colonMatch[1].trim()}`;
+  }
+
+  // Handle "Title  Composer" format (multiple spaces)
+  const spacesMatch = text.match(/^(.+?)\s{2,}(.+)$/);
+  if (spacesMatch) {
+    return `${spacesMatch[1].trim()} — ${spacesMatch[2].trim()}`;
+  }
+
+  // Handle "Title arr. Arranger" and "Title Trad. Attribution" formats
+  // e.g., "Angelus ad virginem arr. Willcocks" -> "Angelus ad virginem — arr. Willcocks"
+  // e.g., "Deep river Trad. African American" -> "Deep river — Trad. African American"
+  const arrangementMatch = text.match(/^(.+?)\s+(arr\.|Trad\.)\s+(.+)$/i);
+  if (arrangementMatch) {
+    return `${arrangementMatch[1].trim()} — ${arrangementMatch[2]} ${arrangementMatch[3].trim()}`;
+  }
+
+  // Leave bare "Composer in Key" mappings for settings to higher-level formatter
+
+  // Handle "Psalm NN Composer" format
+  const psalmComposerMatch = text.match(/^(Psalm\s+[\d\.–\-]+)\s+([A-Z][a-zA-Z\s\.]*?)$/i);
+  if (psalmComposerMatch) {
+    return `${psalmComposerMatch[1].trim()} — ${psalmComposerMatch[2].trim()}`;
+  }
+
+  // Handle "Mass for — Five Voices Byrd" -> "Mass for Five Voices — Byrd"
+  text = text.replace(/\bMass\s+for\s+—\s+([^—;]+?)\s+([A-Z][A-Za-z''\-]+)\b/, 'Mass for $1 — $2');
+  // Handle "Piece Composer" format (single space, composer may include apostrophes/hyphens)
+  const spaceMatch = text.match(/^(.+?)\s+([A-Z][A-Za-z''\-]+(?:\s+[A-Z][A-Za-z''\-\.]+)*)\s*$/);
+  if (spaceMatch && !text.match(/\d/) && spaceMatch[2].length < 30) {
+    return `${spaceMatch[1].trim()} — ${spaceMatch[2].trim()}`;
+  }
+
+  return text;
+}
+
+const SETTING_IN_KEY = /^[A-Z][A-Za-z.'’]*(?:(?:\s*-\s*|\s+)[A-Z][A-Za-z.'’]*){0,3}\s+in\s+[A-Z]\s*(minor|major|flat|sharp|-\s*flat|-\s*sharp)?$/i;
+
+export function classifyPiece(text) {
+  const lower = text.toLowerCase();
+  
+  // Organ pieces first (most specific)
+  if (lower.includes('prelude') || lower.includes('postlude') || 
+      lower.includes('processional') || lower.includes('voluntary') || 
+      lower.includes('toccata') || lower.includes('fugue')) return 'organ';
+  
+  // Liturgical categories
+  if (lower.includes('hymn')) return 'hymns';
+  if (lower.includes('psalm')) return 'psalms';
+  if (lower.includes('anthem')) return 'anthems';
+  
+  // Service settings (Magnificat/Nunc Dimittis, Responses, etc.)
+  if (lower.includes('magnificat') || lower.includes('nunc dimittis') || 
+      lower.includes('responses') || lower.includes('service')) return 'settings';
+  
+  // Heuristic for service settings: "Composer in Key" format 
+  // This should match "Wood in E", "Stanford in G", "Armtrong Gibbs in D", "S.S. Wesley in E",
+  // but NOT "God be in my head"
+  // Pattern: composer name of up to four words + "in" + musical key/mode
+  if (SETTING_IN_KEY.test(text)) return 'settings';
+  
+  return 'anthems'; // Default for most other pieces
+}
+
+// info (optional) receives which pattern fired and any service notes taken off the line (notes.js)
+export function splitMultiplePieces(line, info = {}) {
+  // Pattern 1: Take off service notes like "Preacher: Name" or "followed by Benediction"
+  const { text: cleanLine, notes } = splitServiceNotes(line);
+  if (notes.length) info.notes = notes;
+  if (!cleanLine) return [];
+  
+  // Pattern 2: "Composer in Key Responses OtherComposer" - split service setting + responses
+  const settingResponsesMatch = cleanLine.match(/^([A-Z][a-z]+\s+in\s+[A-Za-z\s\-]+?)\s+(Responses\s+.+)$/i);
+  if (settingResponsesMatch) {
+    info.pattern = 'setting-responses';
+    const setting = settingResponsesMatch[1].trim();
+    const responses = settingResponsesMatch[2].trim();
+    return [setting, responses];
+  }
+  
+  // Pattern 3: "Something Psalm(s) NN... rest" - detect psalm anywhere in line
+  const psalmMatch = cleanLine.match(/^(.+?)\s+(Psalms?\s+.+)$/i);
+  if (psalmMatch) {
+    info.pattern = 'psalm';
+    const beforePsalm = psalmMatch[1].trim();
+    const psalmAndAfter = psalmMatch[2].trim();
+    
+    // The psalm section stays whole; addPiece splits it into psalms and verse ranges
+    if (beforePsalm) {
+      return [beforePsalm, psalmAndAfter];
+    } else {
+      return [psalmAndAfter];
+    }
+  }
+  
+  // Pattern 4: "Something Hymn(s) NN..." - detect hymn anywhere in line  
+  const hymnMatch = cleanLine.match(/^(.+?)\s+(Hymns?\s+.+)$/i);
+  if (hymnMatch) {
+    info.pattern = 'hymn';
+    const beforeHymn = hymnMatch[1].trim();
+    const hymnAndAfter = hymnMatch[2].trim();
+    
+    if (beforeHymn) {
+      return [beforeHymn, hymnAndAfter];
+    } else {
+      return [hymnAndAfter];
+    }
+  }
+  
+  // Default: return as single piece
+  info.pattern = 'single';
+  return [cleanLine];
+}
+
+export function dedupeServices(services) {
+  const map = new Map();
+  for (const svc of services) {
+    if (!svc || !svc.date || !svc.time) continue;
+    const dateStr = svc.date.toISOString().split('T')[0];
+    const key = `${svc.sourceId || ''}|${dateStr}|${svc.time}|${(svc.service || '').trim()}|${(svc.choir || '').trim()}`;
+    if (!map.has(key)) {
+      map.set(key, svc);
+    }
+  }
+  return Array.from(map.values());
+}
+
+const CLOCK_TIME = /^(\d{4}|\d{1,2}[:.]\d{2}(?:\s*[ap]m)?|\d{1,2}\s*[ap]m)\s+(.+)$/i;
+const MONTH_NAME = /^(january|february|march|april|may|june|july|august|september|october|november|december)\b/i;
+
+// A service line starts with a clock time and either names a known service type or gives a choir
+// in parentheses (typed 'other'). Dates such as "31 August – 21 September" are not clock times.
+export function matchServiceLine(line, serviceTypes = defaultServiceTypes()) {
+  const match = line.match(CLOCK_TIME);
+  if (!match || MONTH_NAME.test(match[2])) return null;
+  const time = parseTime(match[1]);
+  if (!time || time > '23:59' || time.slice(3) > '59') return null;
+
+  const fullServiceLine = match[2].trim();
+  // Choir from parentheses anywhere in the line; the title is everything before them
+  const choirMatch = fullServiceLine.match(/\(([^)]+)\)/);
+  const serviceTitle = choirMatch ? fullServiceLine.substring(0, choirMatch.index).trim() : fullServiceLine;
+  const serviceType = serviceTypeOf(serviceTitle, serviceTypes);
+  if (!serviceType && !choirMatch) return null;
+  return { time, fullServiceLine, choirMatch, serviceTitle, serviceType: serviceType || OTHER_SERVICE_TYPE };
+}
+
+// Psalm section -> one formatted entry per psalm, chant composers canonicalised
+function psalmSectionEntries(section, aliases) {
+  const psalms = parsePsalms(normalizeOCRArtifacts(section.trim()));
+  for (const psalm of psalms) {
+    for (const range of psalm.ranges) {
+      if (range.composer) range.composer = canonicalComposer(range.composer, aliases) || range.composer;
+    }
+  }
+  return psalms.map(formatPsalm);
+}
+
+// Classify a raw piece and store it; hymn and psalm sections become one entry per hymn or psalm,
+// each keeping the whole section as source. composer comes from the PDF's composer column, when
+// it has one, and is used as-is instead of guessing the split. Returns what happened, for the parse trace.
+function addPiece(service, piece, composer, aliases) {
+  const category = classifyPiece(piece);
+  const source = composer ? `${piece} ${composer}` : piece;
+  let normalized = normalizePieceTitle(source);
+  let entries = [];
+  if (category === 'hymns' && /^hymns?\b/i.test(piece.trim())) entries = splitHymns(normalized);
+  if (category === 'psalms' && /^psalms?\b/i.test(piece.trim())) entries = psalmSectionEntries(source, aliases);
+  if (entries.length === 0 && composer) {
+    normalized = `${piece.trim()} — ${composer.trim()}`;
+    entries = [applyAliases(normalized, aliases)];
+  }
+  if (entries.length === 0) entries = [applyAliases(normalized, aliases)];
+  for (const entry of entries) {
+    service.allPieces.push(entry);
+    if (category !== 'other') {
+      service.pieces[category].push(entry);
+      service.pieceSources[category].push(source);
+    }
+  }
+  return { raw: source, category, normalized, entries };
+}
+
+// Settings and anthems are expected to end up as "Title — Composer"
+function pieceIssues(added, serviceTitle, aliases) {
+  const issues = [];
+  for (const piece of added) {
+    const shown = piece.category === 'settings'
+      ? piece.entries.map(e => canonicalizeSettingPiece(e, serviceTitle, aliases))
+      : piece.entries;
+    if (['settings', 'anthems'].includes(piece.category) && !shown.some(e => e.includes(' — '))) {
+      issues.push(`no composer found in "${piece.raw}"`);
+    }
+  }
+  return issues;
+}
+
+// How a music list marks its days. dayHeader has named groups day and month, and optionally weekday;
+// the text after the match is the liturgical day. weekdayLine (optional) matches header-like lines
+// without a day number, which are skipped rather than read as pieces. Sources with other layouts
+// pass their own (sources.js).
+export const DEFAULT_LAYOUT = {
+  dayHeader: /^(?<weekday>SUNDAY|MONDAY|TUESDAY|WEDNESDAY|THURSDAY|FRIDAY|SATURDAY)\s+(?<day>\d{1,2})\s+(?<month>\w+)/i,
+  weekdayLine: /^(SUNDAY|MONDAY|TUESDAY|WEDNESDAY|THURSDAY|FRIDAY|SATURDAY)/i
+};
+
+// aliases: composer and title dictionary (aliases.js); serviceTypes: vocabulary (service-types.js);
+// layout: day header rules, see DEFAULT_LAYOUT;
+// now: reference for day-header years when the list has no date range;
+// trace (optional array) receives one record per extracted line, see diagnostics.js
+export async function parsePDFBuffer(uint8, { aliases = emptyAliases(), serviceTypes = defaultServiceTypes(), layout = DEFAULT_LAYOUT, now = new Date(), trace = null } = {}) {
+  try {
+    const pdf = await pdfjsLib.getDocument({
+      data: uint8,
+      useSystemFonts: true,
+      // pdf.js warnings go to stdout, which the CLI uses for output
+      verbosity: pdfjsLib.VerbosityLevel.ERRORS
+    }).promise;
+    
+    let allLines = [];
+    const linePages = [];
+    const lineColumns = [];
+    
+    // Extract text from all pages
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      
+      // Rows, page columns and the composer column come from item coordinates (layout.js)
+      for (const extracted of extractLines(textContent.items, { pageBox: page.view })) {
+        // First normalize unicode and collapse all excessive spacing, then apply OCR-specific fixes
+        const lineText = normalizeOCRArtifacts(normalizeUnicode(extracted.text));
+        if (!lineText) continue;
+        allLines.push(lineText);
+        linePages.push(pageNum);
+        lineColumns.push(extracted.composer
+          ? { title: normalizeOCRArtifacts(normalizeUnicode(extracted.title)), composer: normalizeUnicode(extracted.composer) }
+          : null);
+      }
+    }
+    
+    const lines = allLines;
+    
+    // Extract date range from header
+    let startDate = null;
+    let endDate = null;
+    for (const line of lines.slice(0, 10)) {
+      const range = parseDateRange(line);
+      if (range) {
+        ({ startDate, endDate } = range);
+        break;
+      }
+    }
+    
+    // Parse services
+    const services = [];
+    const warnings = [];
+    let currentDate = null;
+    let currentLiturgicalDay = null;
+    let currentService = null;
+    let i = 0;
+    const note = (record) => {
+      if (trace) trace.push({ line: i + 1, page: linePages[i], text: lines[i], pattern: null, columns: null, pieces: [], notes: [], issues: [], service: null, ...record });
+    };
+    
+    while (i < lines.length) {
+      const line = lines[i];
+      
+      // Day header (e.g., "SUNDAY 31 AUGUST TRINITY 11")
+      const dayMatch = line.match(layout.dayHeader);
+      if (dayMatch) {
+        const { weekday, day, month } = dayMatch.groups;
+        const inferred = inferDayDate(parseInt(day), month.toLowerCase(), weekday, { startDate, endDate, previous: currentDate, now });
+        currentDate = inferred ? inferred.date : null;
+        currentLiturgicalDay = parseLiturgicalDay(line.slice(dayMatch.index + dayMatch[0].length));
+        const issues = currentDate ? [] : [`unrecognised date "${day} ${month}"`];
+        if (inferred && !inferred.weekdayMatches) {
+          const actual = WEEKDAYS[currentDate.getUTCDay()];
+          const mismatch = `${currentDate.toISOString().split('T')[0]} is a ${actual[0].toUpperCase()}${actual.slice(1)}`;
+          warnings.push(`"${line}": ${mismatch}`);
+          issues.push(`weekday mismatch: ${mismatch}`);
+        }
+        note({ kind: 'day', issues });
+        i++;
+        continue;
+      }
+      
+      // Service line (starts with a clock time; see matchServiceLine)
+      const serviceLine = matchServiceLine(line, serviceTypes);
+      if (serviceLine) {
+        const { time, fullServiceLine, choirMatch, serviceTitle, serviceType } = serviceLine;
+        const choir = choirMatch ? choirMatch[1] : '';
+        
+        // Extract any text after choir parentheses as the first piece, less any service notes
+        let firstPiece = null;
+        let lineNotes = [];
+        if (choirMatch) {
+          const afterChoir = splitServiceNotes(fullServiceLine.substring(choirMatch.index + choirMatch[0].length));
+          lineNotes = afterChoir.notes;
+          if (afterChoir.text) {
+            firstPiece = afterChoir.text;
+          }
+        }
+        
+        if (currentService) {
+          services.push(currentService);
+        }
+        
+        currentService = {
+          date: currentDate,
+          time: time,
+          service: serviceTitle,
+          serviceType,
+          liturgicalDay: currentLiturgicalDay,
+          choir: choir,
+          formations: parseChoirFormations(choir),
+          pieces: {
+            settings: [],
+            anthems: [],
+            psalms: [],
+            hymns: [],
+            organ: []
+          },
+          // Raw PDF text for each entry in pieces, index-aligned per category
+          pieceSources: {
+            settings: [],
+            anthems: [],
+            psalms: [],
+            hymns: [],
+            organ: []
+          },
+          allPieces: [],
+          rawLines: [],
+          // Service annotations (notes.js)
+          preacher: null,
+          officiant: null,
+          notes: [],
+          broadcast: false
+        };
+        applyServiceNotes(currentService, lineNotes);
+        
+        // Add the first piece if found
+        const added = [];
+        if (firstPiece) {
+          currentService.rawLines.push(firstPiece);
+          added.push(addPiece(currentService, firstPiece, null, aliases));
+        }
+        const issues = pieceIssues(added, serviceTitle, aliases);
+        if (!currentDate) issues.unshift('service before any day header');
+        if (!choirMatch) issues.unshift('no choir in parentheses');
+        note({ kind: 'service', service: services.length, pieces: added, notes: lineNotes, issues });
+        i++;
+        continue;
+      }
+      
+      // Piece line
+      const weekdayLine = Boolean(layout.weekdayLine && layout.weekdayLine.test(line));
+      if (currentService && line && !weekdayLine) {
+        currentService.rawLines.push(line);
+        
+        // Try to split multiple pieces on one line; a composer column belongs to the first piece
+        // A line that is only service notes is read whole, even if it looks like title and composer columns
+        const info = {};
+        const columns = splitServiceNotes(line).text ? lineColumns[i] : null;
+        const pieces = splitMultiplePieces(columns ? columns.title : line, info);
+        applyServiceNotes(currentService, info.notes || []);
+        
+        const added = pieces.map((piece, n) => addPiece(currentService, piece, columns && n === 0 ? columns.composer : null, aliases));
+        const issues = pieceIssues(added, currentService.service, aliases);
+        if (/^(\d{4}|\d{1,2}[:.]\d{2}|\d{1,2}\s*(?:am|pm))\s/i.test(line)) {
+          issues.unshift('starts with a time but has no known service title');
+        }
+        note({ kind: pieces.length ? 'piece' : 'note', service: services.length, pattern: info.pattern, columns, pieces: added, notes: info.notes || [], issues });
+      } else if (weekdayLine) {
+        note({ kind: 'ignored', issues: ['weekday line without a day number'] });
+      } else {
+        note({ kind: currentDate ? 'ignored' : 'header', issues: currentDate ? ['text before the first service'] : [] });
+      }
+      
+      i++;
+    }
+    
+    if (currentService) {
+      services.push(currentService);
+    }
+    
+    return { services, startDate, endDate, warnings };
+  } catch (error) {
+    throw new Error(`Failed to parse PDF: ${error.message}`);
+  }
+}
+
+// A PDF (Buffer, ArrayBuffer or Uint8Array) -> its dated services, duplicates dropped, in date and time
+// order, the start and end dates from its header (null if none) and any day headers whose printed
+// weekday doesn't match the date. Options as parsePDFBuffer.
+export async function parseMusicList(data, options = {}) {
+  const { services, startDate, endDate, warnings } = await parsePDFBuffer(new Uint8Array(data), options);
+  const sorted = dedupeServices(services)
+    .sort((a, b) => `${a.date.toISOString()} ${a.time}`.localeCompare(`${b.date.toISOString()} ${b.time}`));
+  return { services: sorted, startDate, endDate, warnings };
+}
+
+// Settings as "Mag and Nunc in G — Stanford" / "Mass in E — Wood", from bare "Composer in Key"
+export function canonicalizeSettingPiece(pieceText, serviceTitle, aliases = emptyAliases()) {
+  const lower = pieceText.toLowerCase();
+  // Title and composer already split (e.g. from a composer column)
+  if (pieceText.includes(' — ')) {
+    return applyAliases(normalizePieceTitle(pieceText), aliases);
+  }
+  // Already explicit
+  if (/(magnificat|nunc dimittis|te deum|jubilate|responses|canticles|service)/i.test(lower)) {
+    return applyAliases(normalizePieceTitle(pieceText), aliases);
+  }
+  // Pattern: Composer in Key
+  const m = pieceText.match(/^([A-Z][A-Za-z.'’\s-]+?)\s+in\s+(.+)$/);
+  if (m) {
+    const composer = m[1].trim().replace(/\s*-\s*/g, '-').replace(/\s+/g, ' ');
+    const key = m[2].trim().replace(/\s*-\s*/g, ' - ').replace(/\s*no\.\s*/i, 'no. ');
+    if (/evensong|evening prayer/i.test(serviceTitle || '')) {
+      return applyAliases(`Mag and Nunc in ${key} — ${composer}`, aliases);
+    }
+    if (/eucharist|mass/i.test(serviceTitle || '')) {
+      return applyAliases(`Mass in ${key} — ${composer}`, aliases);
+    }
+    return applyAliases(`Service in ${key} — ${composer}`, aliases);
+  }
+  return applyAliases(normalizePieceTitle(pieceText), aliases);
+}
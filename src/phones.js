@@ -0,0 +1,337 @@
+// Desk-phone browsers: Cisco 79xx, Yealink and Polycom. Every screen is either text
+// (title, prompt, text, softkeys) or a menu (title, prompt, items, softkeys); each family renders
+// them in its own markup within its line length and object size.
+import { CISCO_MAX_BYTES, CISCO_MENU_ITEMS, CISCO_PAGE_LINES, asciiSanitize, ciscoMenu, ciscoText, escapeXml, pageOf, screenUrl, serviceLines, shortDate, shortService, truncateText } from './cisco.js';
+import { escapeHtml } from './html.js';
+import { SONGMEN, choirLabel, parseChoirQuery } from './choirs.js';
+import { serviceDateString } from './format.js';
+import { addDays, weekdayOf } from './timezone.js';
+
+// Items are kept in order until the object would pass maxBytes
+function fitItems(head, items, tail, maxBytes) {
+  let size = Buffer.byteLength([...head, ...tail].join('\n')) + 1;
+  const kept = [];
+  for (const item of items) {
+    size += Buffer.byteLength(item) + 1;
+    if (size > maxBytes) break;
+    kept.push(item);
+  }
+  return [...head, ...kept, ...tail].join('\n');
+}
+
+// Yealink XML browser: YealinkIPPhoneTextScreen and YealinkIPPhoneTextMenu. There is no prompt
+// line, so the prompt is left off.
+function yealinkSoftKeys(softKeys) {
+  return softKeys.map((key, i) => `<SoftKey index="${i + 1}">\n<Label>${escapeXml(asciiSanitize(key.name))}</Label>\n<URI>${escapeXml(key.url)}</URI>\n</SoftKey>`);
+}
+
+function yealinkText(limits) {
+  return ({ title, text, softKeys = [] }) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<YealinkIPPhoneTextScreen destroyOnExit="yes" Beep="no">',
+    `<Title>${escapeXml(truncateText(title, limits.lineLength))}</Title>`,
+    `<Text>${escapeXml(asciiSanitize(text))}</Text>`,
+    ...yealinkSoftKeys(softKeys),
+    '</YealinkIPPhoneTextScreen>'
+  ].join('\n');
+}
+
+function yealinkMenu(limits) {
+  return ({ title, items, softKeys = [] }) => fitItems(
+    ['<?xml version="1.0" encoding="UTF-8"?>', '<YealinkIPPhoneTextMenu style="numbered" destroyOnExit="yes">', `<Title>${escapeXml(truncateText(title, limits.lineLength))}</Title>`],
+    items.map(item => `<MenuItem>\n<Prompt>${escapeXml(truncateText(item.name, limits.lineLength))}</Prompt>\n<URI>${escapeXml(item.url)}</URI>\n</MenuItem>`),
+    [...yealinkSoftKeys(softKeys), '</YealinkIPPhoneTextMenu>'],
+    limits.maxBytes
+  );
+}
+
+// Polycom microbrowser: a small XHTML page; softkeys become a row of links under the screen
+function polycomHead(limits, title) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml">',
+    `<head><title>${escapeHtml(truncateText(title, limits.lineLength))}</title></head>`,
+    '<body>'
+  ];
+}
+
+function polycomFoot(limits, prompt, softKeys) {
+  return [
+    ...(softKeys.length ? [`<p>${softKeys.map(key => `<a href="${escapeHtml(key.url)}">${escapeHtml(asciiSanitize(key.name))}</a>`).join(' | ')}</p>`] : []),
+    ...(prompt ? [`<p>${escapeHtml(truncateText(prompt, limits.lineLength))}</p>`] : []),
+    '</body>',
+    '</html>'
+  ];
+}
+
+function polycomText(limits) {
+  return ({ title, prompt, text, softKeys = [] }) => [
+    ...polycomHead(limits, title),
+    `<p>${asciiSanitize(text).split('\n').map(escapeHtml).join('<br/>\n')}</p>`,
+    ...polycomFoot(limits, prompt, softKeys)
+  ].join('\n');
+}
+
+function polycomMenu(limits) {
+  return ({ title, prompt, items, softKeys = [] }) => fitItems(
+    [...polycomHead(limits, title), '<p>'],
+    items.map(item => `<a href="${escapeHtml(item.url)}">${escapeHtml(truncateText(item.name, limits.lineLength))}</a><br/>`),
+    ['</p>', ...polycomFoot(limits, prompt, softKeys)],
+    limits.maxBytes
+  );
+}
+
+// lineLength: characters per line (titles, menu items, wrapped music); pageLines: lines per detail
+// screen; menuItems: services per week menu; maxBytes: largest object the browser accepts.
+// selectUrl/exitUrl are the softkey actions; families without them rely on the phone's own keys.
+function family(id, name, limits, render) {
+  return { id, name, ...limits, text: render.text(limits), menu: render.menu(limits) };
+}
+
+export const PHONE_FAMILIES = {
+  cisco: {
+    id: 'cisco',
+    name: 'Cisco 79xx',
+    lineLength: 32,
+    pageLines: CISCO_PAGE_LINES,
+    menuItems: CISCO_MENU_ITEMS,
+    maxBytes: CISCO_MAX_BYTES,
+    contentType: 'text/xml; charset=US-ASCII',
+    selectUrl: 'SoftKey:Select',
+    exitUrl: 'Init:Services',
+    text: ciscoText,
+    menu: ciscoMenu
+  },
+  yealink: family('yealink', 'Yealink', {
+    lineLength: 36,
+    pageLines: 20,
+    menuItems: 30,
+    maxBytes: 10000,
+    contentType: 'text/xml; charset=US-ASCII',
+    selectUrl: 'SoftKey:Select',
+    exitUrl: 'SoftKey:Exit'
+  }, { text: yealinkText, menu: yealinkMenu }),
+  polycom: family('polycom', 'Polycom', {
+    lineLength: 40,
+    pageLines: 24,
+    menuItems: 20,
+    maxBytes: 16000,
+    contentType: 'application/xhtml+xml; charset=US-ASCII',
+    selectUrl: null,
+    exitUrl: null
+  }, { text: polycomText, menu: polycomMenu })
+};
+
+// User-Agent patterns, e.g. "Yealink SIP-T46S 66.86.0.15", "PolycomVVX-VVX_400-UA/5.9.0";
+// 79xx phones send "Allegro-Software-WebClient"
+const USER_AGENTS = [
+  ['yealink', /yealink/i],
+  ['polycom', /polycom/i],
+  ['cisco', /cisco|allegro-software/i]
+];
+
+// Family id for a User-Agent header, or null when it isn't a recognised phone
+export function detectPhoneFamily(userAgent) {
+  if (typeof userAgent !== 'string') return null;
+  const match = USER_AGENTS.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+}
+
+// Screens. Each takes a phone family, the loaded music lists (music-lists.js) and
+// { prefix, baseUrl, query }: links and softkeys stay under the prefix the phone came in on, with
+// the query's filters carried through. Filters default to Songmen.
+
+// Softkeys without a URL (Select and Exit on Polycom) are left to the phone's own keys
+function phoneKeys(...keys) {
+  return keys.flat().filter(key => key && key.url);
+}
+
+function exitKey(phone) {
+  return { name: 'Exit', url: phone.exitUrl };
+}
+
+function phonePage(query) {
+  return Math.max(0, parseInt(query?.page, 10) || 0);
+}
+
+// Filter errors, fetch errors and an expired list; null when services can be shown
+function phoneProblem(phone, lists, title, filterError) {
+  const data = lists.data();
+  if (filterError) return phone.text({ title, prompt: 'Error', text: filterError, softKeys: phoneKeys(exitKey(phone)) });
+  if (data.error) return phone.text({ title, prompt: 'Error', text: 'Service unavailable.', softKeys: phoneKeys(exitKey(phone)) });
+  if (data.isStale) {
+    const endStr = data.endDate ? data.endDate.toISOString().split('T')[0] : 'unknown';
+    return phone.text({ title, prompt: 'Press Exit to close', text: `STALE - list ended ${endStr}\nNo newer list published.`, softKeys: phoneKeys(exitKey(phone)) });
+  }
+  return null;
+}
+
+// One page of a service's full music, with softkeys to page through it, step to the previous or
+// next upcoming service under the same filters, or go back to the service's week
+function serviceScreen(phone, lists, service, { prefix, baseUrl, query, title, filters }) {
+  const { formatter } = lists;
+  const { items, page: current, pages } = pageOf(serviceLines(service, formatter, phone.lineLength), phonePage(query), phone.pageLines);
+  const upcoming = lists.upcoming(filters);
+  const index = upcoming.indexOf(service);
+  const serviceUrl = (svc, extra = {}) => screenUrl(baseUrl, `${prefix}/service/${formatter.serviceId(svc)}`, query, extra);
+  const weeks = Math.max(0, lists.weeksAhead(service, filters));
+  const softKeys = phoneKeys(
+    pages > 1 ? { name: 'More', url: serviceUrl(service, { page: (current + 1) % pages }) } : null,
+    index > 0 ? { name: 'Prev', url: serviceUrl(upcoming[index - 1]) } : null,
+    index >= 0 && index < upcoming.length - 1 ? { name: 'Next', url: serviceUrl(upcoming[index + 1]) } : null,
+    { name: 'Back', url: screenUrl(baseUrl, `${prefix}/week`, query, weeks ? { week: weeks } : {}) },
+    exitKey(phone)
+  );
+  return phone.text({ title, prompt: `Page ${current + 1}/${pages}`, text: items.join('\n'), softKeys });
+}
+
+// Top menu: Next, This Week and Next Week, with absolute URLs; only the choir filter is carried
+export function phoneMenuScreen(phone, lists, { prefix, baseUrl, query = {} }) {
+  const carried = typeof query.choir === 'string' ? { choir: query.choir } : {};
+  const { choirs } = parseChoirQuery(carried.choir, SONGMEN);
+  const title = `${lists.sourceName()} ${choirLabel(choirs === undefined ? SONGMEN : choirs)}`;
+
+  try {
+    return phone.menu({
+      title,
+      prompt: 'Select option',
+      items: [
+        { name: 'Next', url: screenUrl(baseUrl, `${prefix}/next`, carried) },
+        { name: 'This Week', url: screenUrl(baseUrl, `${prefix}/week`, carried) },
+        { name: 'Next Week', url: screenUrl(baseUrl, `${prefix}/week`, carried, { week: 1 }) }
+      ],
+      softKeys: phoneKeys({ name: 'Select', url: phone.selectUrl }, exitKey(phone))
+    });
+  } catch (error) {
+    return phone.text({ title, prompt: 'Error', text: 'Service unavailable.' });
+  }
+}
+
+// Next service: the detail screen of the next service
+export function phoneNextScreen(phone, lists, { prefix, baseUrl, query = {} }) {
+  const { error: filterError, ...filters } = lists.parseFilters(query, SONGMEN);
+  const title = filters.choirs && filters.choirs.length === 1 ? `Next ${choirLabel(filters.choirs)} Service` : 'Next Service';
+
+  try {
+    const problem = phoneProblem(phone, lists, title, filterError);
+    if (problem) return problem;
+
+    const next = lists.next(filters);
+    if (!next) return phone.text({ title, prompt: 'Press Exit to close', text: 'Service unavailable.', softKeys: phoneKeys(exitKey(phone)) });
+    return serviceScreen(phone, lists, next, { prefix, baseUrl, query, title, filters });
+  } catch (error) {
+    return phone.text({ title, prompt: 'Error', text: 'Service unavailable.' });
+  }
+}
+
+// Week browser: a menu of one week's upcoming services (?week= weeks ahead), phone.menuItems per
+// screen, each opening its detail screens
+export function phoneWeekScreen(phone, lists, { prefix, baseUrl, query = {} }) {
+  const { error: filterError, ...filters } = lists.parseFilters(query, SONGMEN);
+  const { choirs } = filters;
+  const weeks = Math.max(0, parseInt(query.week, 10) || 0);
+  const todayStr = lists.today();
+  const monday = addDays(todayStr, -((weekdayOf(todayStr) + 6) % 7) + 7 * weeks);
+  const title = weeks === 0 ? `This Week - ${choirLabel(choirs)}` : `Week of ${shortDate(monday)}`;
+
+  try {
+    const problem = phoneProblem(phone, lists, title, filterError);
+    if (problem) return problem;
+
+    const week = lists.week(filters, weeks);
+    const later = lists.upcoming(filters).some(svc => serviceDateString(svc) > addDays(monday, 6));
+    const weekKeys = [
+      weeks > 0 ? { name: 'PrevWk', url: screenUrl(baseUrl, `${prefix}/week`, query, weeks > 1 ? { week: weeks - 1 } : {}) } : null,
+      later ? { name: 'NextWk', url: screenUrl(baseUrl, `${prefix}/week`, query, { week: weeks + 1 }) } : null
+    ];
+    if (!week.length) {
+      return phone.text({ title, prompt: choirLabel(choirs), text: 'No services this week', softKeys: phoneKeys(weekKeys, exitKey(phone)) });
+    }
+
+    const { items, page, pages } = pageOf(week, phonePage(query), phone.menuItems);
+    const tomorrowStr = addDays(todayStr, 1);
+    const menuItems = items.map(svc => {
+      const svcDateStr = serviceDateString(svc);
+      let label;
+      if (svcDateStr === todayStr) label = 'Today';
+      else if (svcDateStr === tomorrowStr) label = 'Tomorrow';
+      else label = shortDate(svcDateStr).split(' ').slice(0, 2).join(' ');
+      return { name: `${label} ${svc.time} ${shortService(svc.service)}`, url: screenUrl(baseUrl, `${prefix}/service/${lists.formatter.serviceId(svc)}`, query) };
+    });
+    const moreKey = pages > 1
+      ? { name: 'More', url: screenUrl(baseUrl, `${prefix}/week`, query, { ...(weeks ? { week: weeks } : {}), page: (page + 1) % pages }) }
+      : null;
+    return phone.menu({
+      title,
+      prompt: pages > 1 ? `${choirLabel(choirs)} ${page + 1}/${pages}` : choirLabel(choirs),
+      items: menuItems,
+      softKeys: phoneKeys({ name: 'Select', url: phone.selectUrl }, weekKeys, moreKey, exitKey(phone))
+    });
+  } catch (error) {
+    return phone.text({ title, prompt: 'Error', text: 'Service unavailable.' });
+  }
+}
+
+// Service detail by the id in week menu links, paged with ?page=
+export function phoneServiceScreen(phone, lists, id, { prefix, baseUrl, query = {} }) {
+  const { error: filterError, ...filters } = lists.parseFilters(query, SONGMEN);
+  const service = lists.findService(id);
+  const title = service ? shortService(service.service) : 'Service';
+
+  try {
+    if (filterError || lists.data().error) return phoneProblem(phone, lists, title, filterError);
+
+    if (!service) {
+      return phone.text({
+        title,
+        prompt: 'Error',
+        text: 'Service not found. The music list may have changed.',
+        softKeys: phoneKeys({ name: 'Back', url: screenUrl(baseUrl, `${prefix}/week`, query) }, exitKey(phone))
+      });
+    }
+    return serviceScreen(phone, lists, service, { prefix, baseUrl, query, title, filters });
+  } catch (error) {
+    return phone.text({ title, prompt: 'Error', text: 'Service unavailable.' });
+  }
+}
+
+// The original single-screen Cisco text object: ?mode=next or the week's services (default)
+export function ciscoTextScreen(lists, query = {}) {
+  try {
+    const mode = query.mode === 'next' ? 'next' : 'week';
+    const { error: filterError, ...filters } = lists.parseFilters(query, SONGMEN);
+    const data = lists.data();
+    const title = `${lists.sourceName(filters.sourceIds)} ${choirLabel(filters.choirs)}`;
+    let prompt, text;
+
+    if (filterError) {
+      prompt = 'Error';
+      text = filterError;
+    } else if (lists.unavailable()) {
+      prompt = `STALE until ${data.endDate ? data.endDate.toISOString().split('T')[0] : 'unknown'}`;
+      text = lists.staleMessage();
+    } else if (mode === 'next') {
+      prompt = 'Next service';
+      const next = lists.next(filters);
+      text = next ? lists.formatter.formatServiceHuman(next) : lists.staleMessage();
+    } else {
+      prompt = 'This week';
+      text = lists.week(filters).map(lists.formatter.formatServiceHuman).join('\n\n');
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<CiscoIPPhoneText>
+<Title>${escapeXml(title)}</Title>
+<Prompt>${escapeXml(prompt)}</Prompt>
+<Text>${escapeXml(text)}</Text>
+</CiscoIPPhoneText>`;
+  } catch (error) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<CiscoIPPhoneText>
+<Title>${escapeXml(`${lists.sourceName()} Songmen`)}</Title>
+<Prompt>Error</Prompt>
+<Text>Service unavailable.</Text>
+</CiscoIPPhoneText>`;
+  }
+}
@@ -0,0 +1,85 @@
+// Structured piece model parsed from normalised "Title — Composer" strings
+
+// Catalogue prefixes: BWV 541, K. 618, HWV 56, Op. 17 no. 3, BuxWV 137, …
+const CATALOGUE_RE = /\b(BWV|BuxWV|HWV|SWV|RV|KV|K\.|Hob\.|WoO|Op\.?|D\.)\s*(\d+[a-z]?(?:\s*(?:no\.?|\/)\s*\d+[a-z]?)?|[IVX]+(?::\s*\d+)?)(?![\w])/i;
+const CATALOGUE_PREFIXES = {
+  bwv: 'BWV', buxwv: 'BuxWV', hwv: 'HWV', swv: 'SWV', rv: 'RV', kv: 'K.', 'k.': 'K.',
+  'hob.': 'Hob.', woo: 'WoO', op: 'Op.', 'op.': 'Op.', 'd.': 'D.'
+};
+
+// Key or mode after "in": "in D minor", "in E flat", "in B-flat major", "in the Dorian mode"
+const KEY_RE = /\bin\s+((?:[A-G](?:\s*-?\s*(?:flat|sharp)|[♭♯#b])?(?:\s+(?:major|minor))?)|(?:the\s+)?(?:Dorian|Phrygian|Lydian|Mixolydian|Aeolian|Ionian)(?:\s+mode)?)(?=$|[\s,;)(])/;
+
+function clean(text) {
+  return text ? text.replace(/\s{2,}/g, ' ').trim() : null;
+}
+
+function normaliseKey(key) {
+  return key
+    .replace(/\s*-\s*/g, ' ')
+    .replace(/♭|(?<=^[A-G])b$/, ' flat')
+    .replace(/♯|#/, ' sharp')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+// Split the credit part ("Stanford", "arr. Willcocks", "Trad. arr. Rutter", "Trad. African American")
+function parseCredit(credit) {
+  const result = { composer: null, arranger: null, attribution: null };
+  let rest = credit.trim();
+
+  const arrMatch = rest.match(/^(.*?)\s*\barr(?:\.|anged by)\s*(.+)$/i);
+  if (arrMatch) {
+    result.arranger = clean(arrMatch[2]);
+    rest = arrMatch[1].trim();
+  }
+
+  if (/^trad\b\.?/i.test(rest)) {
+    result.attribution = clean(rest.replace(/^trad\b\.?/i, 'Trad.'));
+  } else if (/^(anon|anonymous)\b\.?/i.test(rest)) {
+    result.attribution = 'Anon.';
+  } else if (rest) {
+    result.composer = clean(rest.replace(/[\s,;]+$/, ''));
+  }
+  return result;
+}
+
+// text: display string (e.g. "Mag and Nunc in D minor — Walmisley"); source: raw PDF text
+export function parsePiece(text, { category = null, source = null } = {}) {
+  const display = clean(text) || '';
+  const piece = {
+    title: display,
+    composer: null,
+    arranger: null,
+    attribution: null,
+    key: null,
+    catalogue: null,
+    category,
+    text: display,
+    source: source != null ? source : display
+  };
+
+  const dash = display.lastIndexOf(' — ');
+  if (dash >= 0) {
+    piece.title = clean(display.slice(0, dash));
+    Object.assign(piece, parseCredit(display.slice(dash + 3)));
+  } else {
+    // "Title arr. Arranger" without a dash
+    const arrOnly = display.match(/^(.+?)\s+(arr\.\s*.+)$/i);
+    if (arrOnly) {
+      piece.title = clean(arrOnly[1]);
+      Object.assign(piece, parseCredit(arrOnly[2]));
+    }
+  }
+
+  const catalogue = display.match(CATALOGUE_RE);
+  if (catalogue) {
+    const prefix = CATALOGUE_PREFIXES[catalogue[1].toLowerCase()] || catalogue[1];
+    piece.catalogue = `${prefix} ${catalogue[2].replace(/\s*no\.?\s*/i, ' no. ').trim()}`;
+  }
+
+  const key = (piece.title || '').match(KEY_RE);
+  if (key) piece.key = normaliseKey(key[1]);
+
+  return piece;
+}
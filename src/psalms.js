@@ -0,0 +1,93 @@
+// Structured psalms: psalm number, verse ranges and the chant composer for each range
+
+const PART_RE = /^(\d{1,3})(?:\s*[.:]\s*(\d{1,3})[a-z]?)?(?:\s*[–-]\s*(\d{1,3})[a-z]?)?(?![\d.:])\s*(.*)$/i;
+
+// "— Goss", "(Goss)" or "Goss" -> "Goss"
+function cleanComposer(text) {
+  const name = (text || '')
+    .replace(/^[\s—–-]+/, '')
+    .replace(/^\((.*)\)$/, '$1')
+    .replace(/[\s,;]+$/, '')
+    .trim();
+  return name || null;
+}
+
+// Ranges before a named chant share it: "Psalms 42, 43 Goss", "Psalm 78.1–8, 23–29 Walford Davies"
+function assignComposer(psalms, composer) {
+  for (let p = psalms.length - 1; p >= 0; p--) {
+    const ranges = psalms[p].ranges;
+    for (let r = ranges.length - 1; r >= 0; r--) {
+      if (ranges[r].composer) return;
+      ranges[r].composer = composer;
+    }
+  }
+}
+
+// "Psalms 110 Garrett, 150 Stanford" -> [{ number: 110, ranges: [{ from: null, to: null, composer: 'Garrett' }] }, …]
+// "Psalm 119.33 – 40 Goss, 89 – 96 Bairstow" -> one psalm with two verse ranges, one chant each
+// A bare "N – M" after a verse reference continues that psalm; on its own it is a run of whole psalms
+export function parsePsalms(text) {
+  const body = (text || '').trim();
+  const match = body.match(/^Psalms?\b\s*\.?\s*(.*)$/i);
+  if (!match) return [];
+
+  const psalms = [];
+  const parts = match[1].split(/\s*[,;]\s*|\s+(?:&|and)\s+(?=\d)/i).filter(Boolean);
+  for (const part of parts) {
+    const m = part.match(PART_RE);
+    if (!m) {
+      // Words without a number continue the previous chant credit
+      const last = psalms[psalms.length - 1]?.ranges.at(-1);
+      if (last) last.composer = last.composer ? `${last.composer}, ${part.trim()}` : cleanComposer(part);
+      continue;
+    }
+
+    const [, first, verse, rangeEnd, rest] = m;
+    const composer = cleanComposer(rest);
+    const current = psalms[psalms.length - 1];
+
+    if (verse) {
+      const from = parseInt(verse, 10);
+      psalms.push({ number: parseInt(first, 10), ranges: [{ from, to: rangeEnd ? parseInt(rangeEnd, 10) : from, composer: null }] });
+    } else if (rangeEnd && current && current.ranges[0].from !== null) {
+      current.ranges.push({ from: parseInt(first, 10), to: parseInt(rangeEnd, 10), composer: null });
+    } else {
+      const start = parseInt(first, 10);
+      const end = rangeEnd && parseInt(rangeEnd, 10) > start ? parseInt(rangeEnd, 10) : start;
+      for (let n = start; n <= end; n++) {
+        psalms.push({ number: n, ranges: [{ from: null, to: null, composer: null }] });
+      }
+    }
+    if (composer) assignComposer(psalms, composer);
+  }
+  return psalms;
+}
+
+function formatRange(range) {
+  if (range.from === null) return '';
+  return range.from === range.to ? `${range.from}` : `${range.from}–${range.to}`;
+}
+
+// Distinct chant composers in order of use
+export function psalmComposers(psalm) {
+  return [...new Set(psalm.ranges.map(r => r.composer).filter(Boolean))];
+}
+
+// "Psalm 119.33–40, 89–96"
+export function psalmLabel(psalm) {
+  const verses = psalm.ranges.map(formatRange).filter(Boolean);
+  return verses.length ? `Psalm ${psalm.number}.${verses.join(', ')}` : `Psalm ${psalm.number}`;
+}
+
+// One chant: "Psalm 110 — Garrett"; several: "Psalm 119.33–40 (Goss), 89–96 (Bairstow)"
+// parsePsalms reads both forms back
+export function formatPsalm(psalm) {
+  const composers = psalmComposers(psalm);
+  const uniform = psalm.ranges.every(r => r.composer === psalm.ranges[0].composer);
+  if (uniform || composers.length === 0) {
+    const label = psalmLabel(psalm);
+    return composers.length ? `${label} — ${composers[0]}` : label;
+  }
+  const ranges = psalm.ranges.map(r => (r.composer ? `${formatRange(r)} (${r.composer})` : formatRange(r)));
+  return `Psalm ${psalm.number}.${ranges.join(', ')}`;
+}
@@ -0,0 +1,63 @@
+// Full-text search over services: titles, choirs, piece titles, composers and hymn numbers
+import { foldText } from './archive.js';
+import { PIECE_CATEGORIES } from './changes.js';
+
+// Split a query into folded terms; quoted phrases stay together
+export function parseSearchQuery(q) {
+  const terms = [];
+  for (const match of (q || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = foldText(match[1] || match[2]);
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+// Numbers match whole numbers only, so "12" doesn't find Hymn 123
+function termMatches(term, folded) {
+  if (/^\d+$/.test(term)) return new RegExp(`(?<!\\d)${term}(?!\\d)`).test(folded);
+  return folded.includes(term);
+}
+
+// entries: { date: 'YYYY-MM-DD', time, service, choir, pieces: { category: [text] } }
+// Every term must match somewhere in the service; with a category only its pieces are searched
+export function searchServices(entries, { q, from = null, to = null, category = null } = {}) {
+  const terms = parseSearchQuery(q);
+  if (terms.length === 0) return [];
+  const categories = category ? [category] : PIECE_CATEGORIES;
+  const results = [];
+
+  for (const entry of entries) {
+    if (from && entry.date < from) continue;
+    if (to && entry.date > to) continue;
+
+    const fields = [];
+    if (!category) {
+      fields.push({ field: 'service', text: entry.service });
+      fields.push({ field: 'choir', text: entry.choir });
+    }
+    for (const cat of categories) {
+      for (const text of entry.pieces?.[cat] || []) fields.push({ field: cat, text });
+    }
+    const folded = fields.map(f => foldText(f.text));
+
+    if (!terms.every(term => folded.some(text => termMatches(term, text)))) continue;
+    const matches = fields.filter((f, i) => terms.some(term => termMatches(term, folded[i])));
+    results.push({ ...entry, matches });
+  }
+
+  return results.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+// Plain-text results: one line per service, then the pieces that matched
+export function formatSearchResults({ q, results }) {
+  if (results.length === 0) return `No services match "${q}".`;
+  const blocks = results.map(result => {
+    const lines = [`${result.date} ${result.time}  ${result.service}  |  ${result.choir.replace(/\band\b/gi, '&')}`];
+    for (const match of result.matches) {
+      if (match.field === 'service' || match.field === 'choir') continue;
+      lines.push(`  ${match.field}: ${match.text}`);
+    }
+    return lines.join('\n');
+  });
+  return `${results.length} service(s) matching "${q}"\n\n${blocks.join('\n')}`;
+}
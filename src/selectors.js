@@ -0,0 +1,62 @@
+// Service selection relative to an explicit "now" in the service time zone.
+// options: { now, timeZone, choirs, types, sources }: formation, service-type and source lists from
+// parseChoirQuery, parseServiceTypeQuery and parseSourceQuery (null = all)
+import { matchesChoirs } from './choirs.js';
+import { matchesServiceTypes } from './service-types.js';
+import { matchesSources } from './sources.js';
+import { DEFAULT_TIMEZONE, serviceDateString, serviceStart } from './format.js';
+import { addDays, localDateString, weekdayOf } from './timezone.js';
+
+// A service stays "next" until it has been going this long
+export const GRACE_MINUTES = 10;
+
+function byStart(timeZone) {
+  return (a, b) => serviceStart(a, timeZone) - serviceStart(b, timeZone);
+}
+
+// Services still to come (or started within the grace window), in start order
+export function upcomingServices(services, { now = new Date(), timeZone = DEFAULT_TIMEZONE, choirs = null, types = null, sources = null } = {}) {
+  const cutoff = new Date(now.getTime() - GRACE_MINUTES * 60 * 1000);
+  return services
+    .filter(service => service.date && service.time && serviceStart(service, timeZone) >= cutoff)
+    .filter(service => matchesChoirs(service, choirs) && matchesServiceTypes(service, types) && matchesSources(service, sources))
+    .sort(byStart(timeZone));
+}
+
+export function nextService(services, options = {}) {
+  return upcomingServices(services, options)[0] || null;
+}
+
+// Upcoming services on a local calendar date (YYYY-MM-DD)
+export function dayServices(services, dateStr, options = {}) {
+  return upcomingServices(services, options).filter(service => serviceDateString(service) === dateStr);
+}
+
+function mondayOf(dateStr) {
+  return addDays(dateStr, -((weekdayOf(dateStr) + 6) % 7));
+}
+
+// Upcoming services in the Monday–Sunday week containing now, or `weeks` weeks after it
+export function weekServices(services, options = {}) {
+  const { now = new Date(), timeZone = DEFAULT_TIMEZONE, weeks = 0 } = options;
+  const monday = addDays(mondayOf(localDateString(now, timeZone)), 7 * weeks);
+  const sunday = addDays(monday, 6);
+  return upcomingServices(services, options).filter(service => {
+    const dateStr = serviceDateString(service);
+    return dateStr >= monday && dateStr <= sunday;
+  });
+}
+
+// Monday–Sunday weeks from the one containing now to the one containing a local date (negative if earlier)
+export function weeksAhead(dateStr, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+  const diff = Date.parse(mondayOf(dateStr)) - Date.parse(mondayOf(localDateString(now, timeZone)));
+  return Math.round(diff / (7 * 24 * 60 * 60 * 1000));
+}
+
+// Every service between two local dates (inclusive, either may be null), past or upcoming
+export function servicesInRange(services, { from = null, to = null, timeZone = DEFAULT_TIMEZONE, choirs = null, types = null, sources = null } = {}) {
+  return services
+    .filter(service => service.date && service.time && matchesChoirs(service, choirs) && matchesServiceTypes(service, types) && matchesSources(service, sources))
+    .filter(service => (!from || serviceDateString(service) >= from) && (!to || serviceDateString(service) <= to))
+    .sort(byStart(timeZone));
+}
@@ -0,0 +1,66 @@
+// Service-type vocabulary: normalised types for service titles, loaded from JSON
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_SERVICE_TYPES_PATH = fileURLToPath(new URL('./resources/service-types.json', import.meta.url));
+
+// Time-led lines with a choir in parentheses but no known title get this type
+export const OTHER_SERVICE_TYPE = 'other';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// { types: { type: [terms] } }; types are tried in file order and the first whose term appears
+// in the title (whole words, any case) wins, so specific types go before general ones
+export function compileServiceTypes(raw) {
+  const types = Object.entries(raw.types || {}).map(([type, terms]) => ({
+    type,
+    patterns: (terms || []).map(term => new RegExp(`(?<![\\w])${escapeRegex(term).replace(/\s+/g, '\\s+')}(?![\\w])`, 'i'))
+  }));
+  const names = types.map(t => t.type);
+  if (!names.includes(OTHER_SERVICE_TYPE)) names.push(OTHER_SERVICE_TYPE);
+  return { types, names };
+}
+
+export async function loadServiceTypes(filePath = DEFAULT_SERVICE_TYPES_PATH) {
+  try {
+    return compileServiceTypes(JSON.parse(await fs.readFile(filePath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Failed to load service types from ${filePath}: ${error.message}`);
+  }
+}
+
+let bundled = null;
+
+// The bundled vocabulary, used until (or instead of) a configured one is loaded
+export function defaultServiceTypes() {
+  if (!bundled) bundled = compileServiceTypes(JSON.parse(readFileSync(DEFAULT_SERVICE_TYPES_PATH, 'utf8')));
+  return bundled;
+}
+
+// "Advent Procession with Carols" -> 'procession'; null when no term matches
+export function serviceTypeOf(title, vocabulary) {
+  const found = vocabulary.types.find(t => t.patterns.some(pattern => pattern.test(title || '')));
+  return found ? found.type : null;
+}
+
+// Parse ?type=evensong,compline. null means no filtering.
+export function parseServiceTypeQuery(value, vocabulary) {
+  if (typeof value !== 'string' || !value.trim()) return { types: null };
+  const keys = value.toLowerCase().split(',')
+    .map(k => k.trim().replace(/\s+/g, '-'))
+    .filter(Boolean);
+  if (keys.includes('all')) return { types: null };
+  const unknown = keys.filter(k => !vocabulary.names.includes(k));
+  if (unknown.length) {
+    return { error: `Unknown service type: ${unknown.join(', ')}. Use one of: all, ${vocabulary.names.join(', ')}` };
+  }
+  return { types: keys };
+}
+
+export function matchesServiceTypes(service, types) {
+  if (!types) return true;
+  return types.includes(service.serviceType || OTHER_SERVICE_TYPE);
+}
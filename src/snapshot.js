@@ -0,0 +1,69 @@
+// Last-known-good snapshot of parsed data, persisted between restarts
+import fs from 'fs/promises';
+import path from 'path';
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const SNAPSHOT_VERSION = 1;
+
+function toIso(date) {
+  return date ? date.toISOString() : null;
+}
+
+function fromIso(value) {
+  return value ? new Date(value) : null;
+}
+
+// Write JSON atomically (temp file + rename) so a crash never leaves a truncated file
+export async function writeJsonAtomic(filePath, value) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+  await fs.rename(tmp, filePath);
+}
+
+export async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+export async function saveSnapshot(dataDir, data) {
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    sourceUrl: data.sourceUrl,
+    pdfUrls: data.pdfUrls,
+    sources: (data.sources || []).map(source => ({ ...source, endDate: toIso(source.endDate) })),
+    endDate: toIso(data.endDate),
+    lastFetch: toIso(data.lastFetch),
+    revisions: data.revisions || {},
+    changes: data.changes || [],
+    publications: data.publications || [],
+    services: data.services.map(service => ({ ...service, date: toIso(service.date) }))
+  };
+  await writeJsonAtomic(path.join(dataDir, SNAPSHOT_FILE), snapshot);
+}
+
+// Returns null when no snapshot exists yet
+export async function loadSnapshot(dataDir) {
+  const snapshot = await readJson(path.join(dataDir, SNAPSHOT_FILE));
+  if (!snapshot) return null;
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version}`);
+  }
+  return {
+    sourceUrl: snapshot.sourceUrl || '',
+    pdfUrls: snapshot.pdfUrls || [],
+    sources: (snapshot.sources || []).map(source => ({ ...source, endDate: fromIso(source.endDate) })),
+    endDate: fromIso(snapshot.endDate),
+    lastFetch: fromIso(snapshot.lastFetch),
+    revisions: snapshot.revisions || {},
+    changes: snapshot.changes || [],
+    // Older snapshots don't record when their PDFs were found; date them by the fetch that loaded them
+    publications: snapshot.publications || (snapshot.pdfUrls || []).map(url => ({ url, sourceId: null, discoveredAt: snapshot.lastFetch })),
+    services: (snapshot.services || []).map(service => ({ ...service, date: fromIso(service.date) }))
+  };
+}
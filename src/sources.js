@@ -0,0 +1,152 @@
+// Source adapters: where a foundation's music lists are found, how they are fetched and how their
+// PDFs are laid out. Sources are configured in JSON; each one's services carry its id as sourceId.
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { DEFAULT_LINK_PATTERN, DEFAULT_LINK_SELECTOR, DEFAULT_MUSIC_LIST_URL, discoverMusicLists } from './discovery.js';
+import { DEFAULT_LAYOUT, parsePDFBuffer } from './parser.js';
+
+export const DEFAULT_SOURCES_PATH = fileURLToPath(new URL('./resources/sources.json', import.meta.url));
+export const DEFAULT_MAX_PDFS = 3;
+
+// Page or PDF body. file: URLs are read from disk only when allowLocal is set, which is for the page
+// URL from the source's configuration; URLs found on a page are never read from disk.
+async function fetchBody(url, { allowLocal = false } = {}) {
+  if (url.startsWith('file:')) {
+    if (!allowLocal) throw new Error(`Refusing to read a local file for ${url} (only a configured page URL may be file:)`);
+    return fs.readFile(fileURLToPath(url));
+  }
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP error fetching ${url}: ${response.status} ${response.statusText}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+function compilePattern(source, key, groups) {
+  if (source[key] === undefined) return null;
+  let pattern;
+  try {
+    pattern = new RegExp(source[key], 'i');
+  } catch (error) {
+    throw new Error(`Source "${source.id}": invalid ${key}: ${error.message}`);
+  }
+  const missing = groups.filter(group => !new RegExp(`\\(\\?<${group}>`).test(source[key]));
+  if (missing.length) throw new Error(`Source "${source.id}": ${key} needs named groups ${missing.join(', ')}`);
+  return pattern;
+}
+
+// day_header and weekday_line. A source with its own day headers skips only the weekday lines it
+// names; the Leicester weekday rule would otherwise drop its pieces that start with a weekday.
+function compileLayout(source) {
+  const dayHeader = compilePattern(source, 'day_header', ['day', 'month']);
+  const weekdayLine = compilePattern(source, 'weekday_line', []);
+  if (!dayHeader) return weekdayLine ? { ...DEFAULT_LAYOUT, weekdayLine } : DEFAULT_LAYOUT;
+  return { dayHeader, weekdayLine };
+}
+
+// Adapter rules from a source's config: { name, url, linkPattern, linkSelector, layout }
+const ADAPTERS = {
+  // Leicester Cathedral: "… to DD MONTH" links on the music list page, "SUNDAY 31 AUGUST …" day headers
+  leicester: (source, defaults) => ({
+    name: source.name || 'Leicester Cathedral',
+    url: source.url || defaults.musicListUrl || DEFAULT_MUSIC_LIST_URL,
+    linkPattern: compilePattern(source, 'link_pattern', ['day', 'month']) || DEFAULT_LINK_PATTERN,
+    linkSelector: source.link_selector || DEFAULT_LINK_SELECTOR,
+    layout: compileLayout(source)
+  }),
+  // Any page of PDF links, with the link text and day headers given as regular expressions
+  'pdf-list': (source) => {
+    if (!source.url) throw new Error(`Source "${source.id}": url is required`);
+    if (!source.link_pattern) throw new Error(`Source "${source.id}": link_pattern is required`);
+    return {
+      name: source.name || source.id,
+      url: source.url,
+      linkPattern: compilePattern(source, 'link_pattern', ['day', 'month']),
+      linkSelector: source.link_selector || DEFAULT_LINK_SELECTOR,
+      layout: compileLayout(source)
+    };
+  }
+};
+
+export const SOURCE_ADAPTERS = Object.keys(ADAPTERS);
+
+// One configured source: { id, adapter, name, url, location, max_pdfs, link_pattern, link_selector, day_header, weekday_line }.
+// defaults: { musicListUrl, maxPdfs } from the environment.
+export function createSource(config, defaults = {}) {
+  if (!config.id || !/^[a-z0-9-]+$/.test(config.id)) throw new Error(`Invalid source id: ${config.id} (use a-z, 0-9 and -)`);
+  const adapter = ADAPTERS[config.adapter || 'leicester'];
+  if (!adapter) throw new Error(`Unknown adapter "${config.adapter}" for source "${config.id}" (use ${SOURCE_ADAPTERS.join(', ')})`);
+  const rules = adapter(config, defaults);
+
+  return {
+    id: config.id,
+    adapter: config.adapter || 'leicester',
+    name: rules.name,
+    location: config.location || rules.name,
+    url: rules.url,
+    maxPdfs: Math.max(1, config.max_pdfs || defaults.maxPdfs || DEFAULT_MAX_PDFS),
+    layout: rules.layout,
+
+    // Music list PDFs linked from the source's page, latest first
+    async discover({ now = new Date() } = {}) {
+      let html;
+      try {
+        html = (await fetchBody(rules.url, { allowLocal: true })).toString('utf8');
+      } catch (error) {
+        throw new Error(`Failed to discover PDFs: ${error.message}`);
+      }
+      return discoverMusicLists(html, { baseUrl: rules.url, now, linkPattern: rules.linkPattern, linkSelector: rules.linkSelector });
+    },
+
+    async fetch(url) {
+      if (!url || typeof url !== 'string' || !url.trim()) throw new Error('No PDF URL provided');
+      return new Uint8Array(await fetchBody(url));
+    },
+
+    // parsePDFBuffer with this source's layout; services are tagged with the source id
+    async parse(data, options = {}) {
+      const parsed = await parsePDFBuffer(new Uint8Array(data), { ...options, layout: rules.layout });
+      for (const service of parsed.services) service.sourceId = config.id;
+      return parsed;
+    }
+  };
+}
+
+// { sources: [config, …] } -> sources in file order; the first is the primary source
+export function compileSources(raw, defaults = {}) {
+  const sources = (raw.sources || []).map(config => createSource(config, defaults));
+  if (!sources.length) throw new Error('No sources configured');
+  const ids = sources.map(source => source.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) throw new Error(`Duplicate source id: ${duplicate}`);
+  return sources;
+}
+
+export async function loadSources(filePath = DEFAULT_SOURCES_PATH, defaults = {}) {
+  try {
+    return compileSources(JSON.parse(await fs.readFile(filePath, 'utf8')), defaults);
+  } catch (error) {
+    throw new Error(`Failed to load sources from ${filePath}: ${error.message}`);
+  }
+}
+
+// The bundled configuration (Leicester only), used until (or instead of) a configured one is loaded
+export function defaultSources(defaults = {}) {
+  return compileSources(JSON.parse(readFileSync(DEFAULT_SOURCES_PATH, 'utf8')), defaults);
+}
+
+// Parse ?source=leicester,york. null means no filtering.
+export function parseSourceQuery(value, sources) {
+  if (typeof value !== 'string' || !value.trim()) return { sources: null };
+  const ids = value.toLowerCase().split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.includes('all')) return { sources: null };
+  const known = sources.map(source => source.id);
+  const unknown = ids.filter(id => !known.includes(id));
+  if (unknown.length) return { error: `Unknown source: ${unknown.join(', ')}. Use one of: all, ${known.join(', ')}` };
+  return { sources: ids };
+}
+
+export function matchesSources(service, ids) {
+  if (!ids) return true;
+  return ids.includes(service.sourceId);
+}
@@ -0,0 +1,93 @@
+// IANA time zone helpers built on Intl (no tz database dependency)
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function wallClockParts(ms, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  }
+  return parts;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset of the zone from UTC in minutes at the given instant (e.g. +60 during BST)
+export function timeZoneOffsetMinutes(ms, timeZone) {
+  const p = wallClockParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// Convert a wall-clock date/time in the zone to a UTC instant.
+// Ambiguous times (clocks going back) resolve to the first occurrence;
+// times skipped by clocks going forward are shifted forward by the gap.
+export function zonedTimeToInstant(dateStr, timeStr, timeZone) {
+  const [y, mo, d] = dateStr.split('-').map(Number);
+  const [h, mi] = (timeStr || '00:00').split(':').map(Number);
+  const wall = Date.UTC(y, mo - 1, d, h, mi, 0, 0);
+  const day = 24 * 60 * 60 * 1000;
+  const offsets = new Set([
+    timeZoneOffsetMinutes(wall - day, timeZone),
+    timeZoneOffsetMinutes(wall + day, timeZone)
+  ]);
+  const candidates = [...offsets].map(offset => wall - offset * 60000);
+  const valid = candidates.filter(ms => wall - timeZoneOffsetMinutes(ms, timeZone) * 60000 === ms);
+  return new Date(valid.length ? Math.min(...valid) : Math.max(...candidates));
+}
+
+// "YYYY-MM-DD" -> noon UTC on that date; "YYYY-MM-DDTHH:MM" without an offset is wall-clock time
+// in the zone; other timestamps go to Date (invalid input gives an invalid Date)
+export function parseInstant(value, timeZone) {
+  if (!value.includes('T')) return new Date(`${value}T12:00:00.000Z`);
+  const local = value.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+  if (local) return zonedTimeToInstant(local[1], local[2], timeZone);
+  return new Date(value);
+}
+
+// Calendar date (YYYY-MM-DD) of an instant as seen in the zone
+export function localDateString(date, timeZone) {
+  const p = wallClockParts(date.getTime(), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Wall-clock time (HH:MM) of an instant as seen in the zone
+export function localTimeString(date, timeZone) {
+  const p = wallClockParts(date.getTime(), timeZone);
+  return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings (zone-independent)
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+}
+
+// 0 = Sunday … 6 = Saturday
+export function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
@@ -0,0 +1,158 @@
+// Outgoing webhooks: signed JSON POSTs with retry/backoff and a persisted delivery log
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import path from 'path';
+import { readJson, writeJsonAtomic } from './snapshot.js';
+
+const LOG_FILE = 'webhooks.json';
+const MAX_LOG_ENTRIES = 200;
+const USER_AGENT = 'cathedral-music-parser-webhooks/1';
+
+// Signature covers "<timestamp>.<body>" so receivers can reject replays
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Webhook URLs often embed tokens; only show the origin in logs and endpoints
+export function maskUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.pathname && u.pathname !== '/' ? `${u.origin}/…` : u.origin;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+// "Authorization: Bearer <token>" check in constant time; false when no token is configured
+export function bearerTokenMatches(header, token) {
+  if (!token || typeof header !== 'string') return false;
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = crypto.createHash('sha256').update(match[1].trim()).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function createWebhookDispatcher({
+  targets = [],
+  secret = '',
+  dataDir = null,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 10000,
+  fetchImpl = fetch
+} = {}) {
+  let log = [];
+  let saving = Promise.resolve();
+  const inflight = new Set();
+
+  function persist() {
+    if (!dataDir) return Promise.resolve();
+    const snapshot = log.slice();
+    saving = saving
+      .then(() => writeJsonAtomic(path.join(dataDir, LOG_FILE), { deliveries: snapshot }))
+      .catch(error => console.error('Failed to save webhook log:', error.message));
+    return saving;
+  }
+
+  async function load() {
+    if (!dataDir) return;
+    try {
+      const saved = await readJson(path.join(dataDir, LOG_FILE));
+      if (!Array.isArray(saved?.deliveries)) return;
+      // Deliveries cut short by a restart are not resumed
+      log = saved.deliveries.map(entry => entry.status === 'pending'
+        ? { ...entry, status: 'failed', lastError: entry.lastError || 'Interrupted by restart' }
+        : entry);
+    } catch (error) {
+      console.error('Failed to load webhook log:', error.message);
+    }
+  }
+
+  async function deliver(entry, url, body) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      entry.attempts = attempt;
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': entry.id,
+        'X-Webhook-Event': entry.event,
+        'X-Webhook-Timestamp': timestamp
+      };
+      if (secret) headers['X-Webhook-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+
+      try {
+        const response = await fetchImpl(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(timeoutMs)
+        });
+        entry.lastStatus = response.status;
+        if (response.ok) {
+          entry.status = 'delivered';
+          entry.deliveredAt = new Date().toISOString();
+          entry.lastError = null;
+          await persist();
+          return;
+        }
+        entry.lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        entry.lastError = error.message;
+      }
+
+      if (attempt < maxAttempts) {
+        await persist();
+        await sleep(baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    entry.status = 'failed';
+    console.error(`Webhook ${entry.event} to ${entry.target} failed after ${entry.attempts} attempts: ${entry.lastError}`);
+    await persist();
+  }
+
+  // Queue an event for every target; delivery runs in the background
+  function emit(event, data, occurredAt = new Date()) {
+    if (targets.length === 0) return null;
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event, occurred_at: occurredAt.toISOString(), data });
+    for (const url of targets) {
+      const entry = {
+        id,
+        event,
+        target: maskUrl(url),
+        status: 'pending',
+        attempts: 0,
+        lastStatus: null,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        deliveredAt: null
+      };
+      log.unshift(entry);
+      log = log.slice(0, MAX_LOG_ENTRIES);
+      const job = deliver(entry, url, body).finally(() => inflight.delete(job));
+      inflight.add(job);
+    }
+    persist();
+    return id;
+  }
+
+  // Resolves once all queued deliveries have finished (the server's onClose hook waits on it)
+  async function idle() {
+    while (inflight.size) await Promise.all([...inflight]);
+    await saving;
+  }
+
+  return {
+    load,
+    emit,
+    idle,
+    deliveries: () => log.slice(),
+    targets: () => targets.map(maskUrl)
+  };
+}
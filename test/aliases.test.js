@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { applyAliases, compileAliases, isKnownComposer, loadAliases } from '../src/aliases.js';
+import { canonicalizeSettingPiece, classifyPiece } from '../src/parser.js';
+
+const dict = compileAliases({
+  composers: {
+    'Armstrong Gibbs': ['Armtrong - Gibbs'],
+    'S.S. Wesley': ['Samuel Sebastian Wesley'],
+    'Walford Davies': [],
+    Harris: []
+  },
+  titles: {
+    'Magnificat and Nunc Dimittis': ['Mag and Nunc', 'Mag and Nunc Dimittis']
+  }
+});
+
+assert.strictEqual(applyAliases('God be in my head Armtrong - — Gibbs', dict), 'God be in my head — Armstrong Gibbs');
+assert.strictEqual(applyAliases('Blessed be the God and Father — samuel sebastian wesley', dict), 'Blessed be the God and Father — S.S. Wesley');
+assert.strictEqual(applyAliases('Mag and Nunc in D minor — Walmisley', dict), 'Magnificat and Nunc Dimittis in D minor — Walmisley');
+assert.strictEqual(applyAliases('Mag and Nunc Dimittis in G — Stanford', dict), 'Magnificat and Nunc Dimittis in G — Stanford');
+assert.strictEqual(applyAliases('Psalm 23 Walford — Davies', dict), 'Psalm 23 — Walford Davies');
+// A known composer after the dash is left alone
+assert.strictEqual(applyAliases('Faire is the heaven — Harris', dict), 'Faire is the heaven — Harris');
+assert.strictEqual(applyAliases('Hymns 341, 300', dict), 'Hymns 341, 300');
+
+assert.ok(isKnownComposer('S. S. Wesley', dict));
+assert.ok(!isKnownComposer('Bullock', dict));
+
+// The bundled dictionary loads and parses
+const bundled = await loadAliases();
+assert.ok(bundled.composerCount > 0);
+assert.ok(isKnownComposer('Stanford', bundled));
+// A bare surname shared by several composers is left for a person to resolve, not guessed
+assert.strictEqual(applyAliases('Blessed be the God and Father — Wesley', bundled), 'Blessed be the God and Father — Wesley');
+assert.ok(!isKnownComposer('Wesley', bundled));
+assert.ok(!isKnownComposer('Samuel Wesley', bundled));
+
+// A setting line with a misspelt two-word composer is still a setting, and its alias fires
+assert.strictEqual(classifyPiece('Armtrong Gibbs in D'), 'settings');
+assert.strictEqual(canonicalizeSettingPiece('Armtrong Gibbs in D', 'Choral Evensong', bundled), 'Magnificat and Nunc Dimittis in D — Armstrong Gibbs');
+assert.strictEqual(canonicalizeSettingPiece('Armtrong - Gibbs in D', 'Sung Eucharist', bundled), 'Mass in D — Armstrong Gibbs');
+assert.strictEqual(classifyPiece('God be in my head'), 'anthems');
+
+console.log('aliases ok');
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createArchive, foldText } from '../src/archive.js';
+import { startServer } from './server-fixture.js';
+
+assert.strictEqual(foldText('Fauré'), 'faure');
+assert.strictEqual(foldText('S.S. Wesley'), 's s wesley');
+
+function piece(title, composer, category) {
+  return { title, composer, arranger: null, attribution: null, key: null, catalogue: null, category, text: `${title} — ${composer}`, source: title };
+}
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+try {
+  const archive = createArchive(dir);
+  await archive.load();
+  assert.strictEqual(archive.size(), 0);
+
+  await archive.record([
+    { date: '2025-08-31', time: '15:30', service: 'Choral Evensong', choir: 'Songmen', formations: ['songmen'], pieces: { anthems: [piece('Cantique de Jean Racine', 'Fauré', 'anthems')] } },
+    { date: '2025-09-07', time: '10:30', service: 'Sung Eucharist', choir: 'Boys and Songmen', formations: ['boys', 'songmen'], pieces: { settings: [piece('Missa brevis', 'Howells', 'settings')] } }
+  ], new Date('2025-09-01T08:00:00Z'));
+
+  // A later list revises one service and adds another; the old one stays
+  await archive.record([
+    { date: '2025-09-07', time: '10:30', service: 'Sung Eucharist', choir: 'Boys and Songmen', formations: ['boys', 'songmen'], pieces: { settings: [piece('Collegium Regale', 'Howells', 'settings')] } },
+    { date: '2025-09-14', time: '15:30', service: 'Choral Evensong', choir: 'Songmen', formations: ['songmen'], pieces: { anthems: [piece('Cantique de Jean Racine', 'Fauré', 'anthems')] } }
+  ], new Date('2025-09-08T08:00:00Z'));
+
+  assert.strictEqual(archive.size(), 3);
+
+  const reloaded = createArchive(dir);
+  await reloaded.load();
+  assert.strictEqual(reloaded.size(), 3);
+
+  const faure = reloaded.lookup({ composer: 'Faure' });
+  assert.deepStrictEqual(faure.map(p => p.date), ['2025-08-31', '2025-09-14']);
+  assert.strictEqual(faure[0].category, 'anthems');
+
+  const howells = reloaded.lookup({ composer: 'howells' });
+  assert.strictEqual(howells.length, 1);
+  assert.strictEqual(howells[0].piece.title, 'Collegium Regale');
+
+  const revised = reloaded.entries().find(e => e.date === '2025-09-07');
+  assert.strictEqual(revised.firstSeen, '2025-09-01T08:00:00.000Z');
+  assert.strictEqual(revised.lastSeen, '2025-09-08T08:00:00.000Z');
+
+  assert.strictEqual(reloaded.lookup({ piece: 'cantique', composer: 'howells' }).length, 0);
+
+  // A re-uploaded list covering 8–21 September drops the 14th: it is superseded, not a performance.
+  // Past services and services outside the list's dates are left alone.
+  await reloaded.record([
+    { date: '2025-09-07', time: '10:30', service: 'Sung Eucharist', choir: 'Boys and Songmen', formations: ['boys', 'songmen'], pieces: { settings: [piece('Collegium Regale', 'Howells', 'settings')] } },
+    { date: '2025-09-21', time: '15:30', service: 'Choral Evensong', choir: 'Songmen', formations: ['songmen'], pieces: { anthems: [piece('Faire is the heaven', 'Harris', 'anthems')] } }
+  ], new Date('2025-09-09T08:00:00Z'), { coverage: [{ sourceId: null, from: '2025-09-07', to: '2025-09-21' }], today: '2025-09-09' });
+  assert.deepStrictEqual(reloaded.lookup({ composer: 'Faure' }).map(p => p.date), ['2025-08-31']);
+  const dropped = reloaded.entries().find(e => e.date === '2025-09-14');
+  assert.strictEqual(dropped.supersededAt, '2025-09-09T08:00:00.000Z');
+
+  // Another source's list doesn't supersede this one's services
+  await reloaded.record([], new Date('2025-09-10T08:00:00Z'), { coverage: [{ sourceId: 'york', from: '2025-09-01', to: '2025-09-30' }], today: '2025-09-10' });
+  assert.strictEqual(reloaded.lookup({ composer: 'Harris' }).length, 1);
+
+  // A service that comes back in a later revision counts again
+  await reloaded.record([
+    { date: '2025-09-14', time: '15:30', service: 'Choral Evensong', choir: 'Songmen', formations: ['songmen'], pieces: { anthems: [piece('Cantique de Jean Racine', 'Fauré', 'anthems')] } }
+  ], new Date('2025-09-11T08:00:00Z'));
+  assert.deepStrictEqual(reloaded.lookup({ composer: 'Faure' }).map(p => p.date), ['2025-08-31', '2025-09-14']);
+  const afterReload = createArchive(dir);
+  await afterReload.load();
+  assert.strictEqual(afterReload.entries().find(e => e.date === '2025-09-14').supersededAt, undefined);
+} finally {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+// Routes: the refresh archives the list; performances before today are past, the rest upcoming
+const server = await startServer(undefined, { MOCK_DATE: '2025-09-12T09:00' });
+try {
+  let response = await server.fastify.inject({ url: '/repertoire?composer=harris' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'text/plain; charset=utf-8');
+  assert.strictEqual(response.body, [
+    '1 performance(s) for composer "harris"',
+    'Last sung: 2025-09-10 Choral Evensong (2 days ago)',
+    '',
+    '2025-09-10 17:30  Choral Evensong  |  Songmen  |  Faire is the heaven — Harris'
+  ].join('\n'));
+
+  response = await server.fastify.inject({ url: '/repertoire?piece=Collegium%20Regale' });
+  assert.match(response.body, /^Next scheduled: 2025-09-14 Choral Evensong$/m);
+  assert.match(response.body, /\[upcoming\]$/);
+  response = await server.fastify.inject({ url: '/repertoire?piece=Miserere' });
+  assert.strictEqual(response.body, 'No performances found for piece "Miserere".');
+
+  // Neither ?piece= nor ?composer= (or only blanks) is a 400
+  response = await server.fastify.inject({ url: '/repertoire' });
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(response.body, 'Provide ?piece= and/or ?composer=');
+  response = await server.fastify.inject({ url: '/json/repertoire?piece=%20&composer=' });
+  assert.strictEqual(response.statusCode, 400);
+  assert.deepStrictEqual(response.json(), { error: 'Provide ?piece= and/or ?composer=' });
+
+  response = await server.fastify.inject({ url: '/json/repertoire?piece=ave%20verum&composer=byrd' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'application/json; charset=utf-8');
+  const body = response.json();
+  assert.strictEqual(body.piece, 'ave verum');
+  assert.strictEqual(body.composer, 'byrd');
+  assert.strictEqual(body.today, '2025-09-12');
+  assert.strictEqual(body.archived_services, 4);
+  assert.strictEqual(body.next, null);
+  assert.deepStrictEqual(body.performances.map(p => [p.date, p.when, p.piece.composer]), [['2025-09-07', 'past', 'Byrd']]);
+  assert.deepStrictEqual(body.last, body.performances[0]);
+} finally {
+  await server.close();
+}
+
+console.log('archive ok');
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { describeChange, diffServices } from '../src/changes.js';
+import { MUSIC_LIST, startServer } from './server-fixture.js';
+
+function svc(date, time, service, choir, pieces = {}) {
+  return {
+    date: new Date(`${date}T12:00:00Z`),
+    time,
+    service,
+    choir,
+    pieces: { settings: [], anthems: [], psalms: [], hymns: [], organ: [], ...pieces }
+  };
+}
+
+const before = [
+  svc('2025-09-07', '10:30', 'Sung Eucharist', 'Boys and Songmen', { anthems: ['Crux fidelis — MacDonald'] }),
+  svc('2025-09-07', '15:30', 'Choral Evensong', 'Songmen', { settings: ['Responses — Moore'] }),
+  svc('2025-09-10', '17:30', 'Choral Evensong', 'Girls'),
+  // Earlier list that has rolled off the page: not a removal
+  svc('2025-08-24', '15:30', 'Choral Evensong', 'Songmen')
+];
+const after = [
+  svc('2025-09-07', '10:30', 'Sung Eucharist', 'Boys and Songmen', { anthems: ['Ave verum corpus — Byrd'] }),
+  svc('2025-09-07', '15:30', 'Choral Evensong', 'Senior Girls and Songmen', { settings: ['Responses — Moore'] }),
+  svc('2025-09-14', '15:30', 'Choral Evensong', 'Songmen')
+];
+
+assert.deepStrictEqual(diffServices([], after), []);
+
+const changes = diffServices(before, after);
+assert.deepStrictEqual(changes.map(c => c.type), ['pieces', 'choir', 'removed', 'added']);
+assert.deepStrictEqual(changes[0].removed, ['Crux fidelis — MacDonald']);
+assert.deepStrictEqual(changes[0].added, ['Ave verum corpus — Byrd']);
+assert.strictEqual(
+  describeChange(changes[0]),
+  '2025-09-07 10:30 Sung Eucharist: anthem changed from "Crux fidelis — MacDonald" to "Ave verum corpus — Byrd"'
+);
+assert.strictEqual(describeChange(changes[1]), '2025-09-07 15:30 Choral Evensong: choir changed from "Songmen" to "Senior Girls and Songmen"');
+assert.strictEqual(changes[2].date, '2025-09-10');
+
+// Identical sets produce no changes
+assert.deepStrictEqual(diffServices(after, after), []);
+
+// Routes: nothing recorded on the first load, then a re-uploaded list's changes as text and JSON
+const server = await startServer();
+try {
+  let response = await server.fastify.inject({ url: '/changes' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'text/plain; charset=utf-8');
+  assert.strictEqual(response.body, 'No changes recorded.');
+
+  await server.writeList(MUSIC_LIST.map(line => line === 'Faire is the heaven Harris' ? 'Ubi caritas Durufle' : line));
+  await server.refresh();
+  response = await server.fastify.inject({ url: '/changes' });
+  assert.strictEqual(response.body, [
+    'Detected 2025-09-06T08:00:00.000Z',
+    '2025-09-10 17:30 Choral Evensong: anthem changed from "Faire is the heaven — Harris" to "Ubi caritas — Duruflé"'
+  ].join('\n'));
+
+  response = await server.fastify.inject({ url: '/json/changes' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'application/json; charset=utf-8');
+  const body = response.json();
+  assert.strictEqual(body.revisions.length, 1);
+  assert.strictEqual(body.revisions[0].detected_at, '2025-09-06T08:00:00.000Z');
+  assert.match(body.revisions[0].pdf_urls[0], /^file:\/\/.*list\.pdf$/);
+  assert.deepStrictEqual(body.revisions[0].changes.map(change => change.type), ['pieces']);
+  assert.match(body.revisions[0].changes[0].summary, /anthem changed/);
+  assert.strictEqual(body.source.end_date, '2025-09-14');
+
+  // ?since= keeps revisions detected on or after the date; anything not a date is ignored
+  response = await server.fastify.inject({ url: '/json/changes?since=2025-09-07' });
+  assert.deepStrictEqual(response.json().revisions, []);
+  response = await server.fastify.inject({ url: '/changes?since=2025-09-07' });
+  assert.strictEqual(response.body, 'No changes recorded.');
+  response = await server.fastify.inject({ url: '/json/changes?since=2025-09-06' });
+  assert.strictEqual(response.json().revisions.length, 1);
+  response = await server.fastify.inject({ url: '/json/changes?since=yesterday' });
+  assert.strictEqual(response.json().revisions.length, 1);
+} finally {
+  await server.close();
+}
+
+console.log('changes ok');
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import os from 'os';
+import path from 'path';
+import { choirLabel, matchesChoirs, parseChoirFormations, parseChoirQuery, SONGMEN } from '../src/choirs.js';
+
+// Formations from the PDF's choir text
+assert.deepStrictEqual(parseChoirFormations('Senior Girls and Songmen'), ['girls', 'songmen']);
+assert.deepStrictEqual(parseChoirFormations('Boys and Songmen'), ['boys', 'songmen']);
+assert.deepStrictEqual(parseChoirFormations('Trebles and Lay Clerks'), ['boys', 'songmen']);
+assert.deepStrictEqual(parseChoirFormations('Songmen'), ['songmen']);
+assert.deepStrictEqual(parseChoirFormations('Full Choir'), ['full']);
+assert.deepStrictEqual(parseChoirFormations('Cathedral Choir'), ['full']);
+assert.deepStrictEqual(parseChoirFormations('Visiting Choir'), ['visiting']);
+assert.deepStrictEqual(parseChoirFormations('Said'), ['said']);
+assert.deepStrictEqual(parseChoirFormations(''), []);
+assert.deepStrictEqual(parseChoirFormations(undefined), []);
+// "men" only as a whole word
+assert.deepStrictEqual(parseChoirFormations('Chamber Ensemble'), []);
+
+// ?choir= values: aliases, lists, "all", unknown keys
+assert.deepStrictEqual(parseChoirQuery(undefined, SONGMEN), { choirs: SONGMEN });
+assert.deepStrictEqual(parseChoirQuery('  ', null), { choirs: null });
+assert.deepStrictEqual(parseChoirQuery('Girls, boy', SONGMEN), { choirs: ['girls', 'boys'] });
+assert.deepStrictEqual(parseChoirQuery('lay clerks', null), { choirs: ['songmen'] });
+assert.deepStrictEqual(parseChoirQuery('girls,all', SONGMEN), { choirs: null });
+assert.strictEqual(parseChoirQuery('girls,altos', SONGMEN).error,
+  'Unknown choir: altos. Use one of: all, boys, girls, songmen, full, visiting, said');
+
+assert.ok(matchesChoirs({ formations: ['girls', 'songmen'] }, SONGMEN));
+assert.ok(!matchesChoirs({ formations: ['boys'] }, SONGMEN));
+assert.ok(!matchesChoirs({}, SONGMEN));
+assert.ok(matchesChoirs({}, null));
+assert.strictEqual(choirLabel(['girls', 'full']), 'Girls/Full Choir');
+assert.strictEqual(choirLabel(null), 'All choirs');
+
+// Routes: an unknown ?choir= is a 400; the /songmen preset ignores ?choir=
+process.env.DATA_DIR = path.join(os.tmpdir(), `choirs-test-${process.pid}`);
+const { fastify } = await import('../src/server.js');
+let response = await fastify.inject({ url: '/services/next?choir=altos' });
+assert.strictEqual(response.statusCode, 400);
+assert.match(response.body, /^Unknown choir: altos/);
+response = await fastify.inject({ url: '/services/week?choir=girls' });
+assert.strictEqual(response.statusCode, 200);
+response = await fastify.inject({ url: '/songmen/next?choir=altos' });
+assert.strictEqual(response.statusCode, 200);
+response = await fastify.inject({ url: '/json/next?choir=altos' });
+assert.strictEqual(response.statusCode, 400);
+await fastify.close();
+
+console.log('choirs ok');
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { createFormatter } from '../src/format.js';
+import { CISCO_MAX_BYTES, asciiSanitize, ciscoMenu, ciscoText, screenUrl, pageOf, serviceLines, shortDate, truncate32, wrap32 } from '../src/cisco.js';
+import { startServer } from './server-fixture.js';
+
+assert.strictEqual(asciiSanitize('Faire is the heaven – Harris'), 'Faire is the heaven - Harris');
+assert.strictEqual(truncate32('Magnificat and Nunc Dimittis in G minor'), 'Magnificat and Nunc Dimittis ...');
+assert.strictEqual(shortDate('2025-09-07'), 'Sun 7 Sep');
+
+// Wrapping: 32 columns, indented continuation lines, over-long words cut
+assert.deepStrictEqual(wrap32('Magnificat and Nunc Dimittis in G minor – Stanford', ' '), ['Magnificat and Nunc Dimittis in', ' G minor - Stanford']);
+assert.deepStrictEqual(wrap32('x'.repeat(40)), ['x'.repeat(32), 'x'.repeat(8)]);
+assert.ok(wrap32('Responses '.repeat(20), ' ').every(line => line.length <= 32));
+
+// Screen URLs keep the filters only
+assert.strictEqual(screenUrl('http://phone.example', '/cisco/week', { choir: 'all', page: '2', type: ' ' }, { week: 1 }), 'http://phone.example/cisco/week?choir=all&week=1');
+
+// Text screens: titles truncated, body and softkeys escaped and numbered
+const text = ciscoText({ title: 'Next Boys and Girls and Songmen Service', prompt: 'Page 1/2', text: 'Choir: Boys & Songmen', softKeys: [{ name: 'More', url: 'http://x/cisco/service/1?choir=all&page=1' }, { name: 'Exit', url: 'Init:Services' }] });
+assert.match(text, /<Title>Next Boys and Girls and Songm\.\.\.<\/Title>/);
+assert.match(text, /<Text>Choir: Boys &amp; Songmen<\/Text>/);
+assert.match(text, /<Name>More<\/Name>\n<URL>http:\/\/x\/cisco\/service\/1\?choir=all&amp;page=1<\/URL>\n<Position>1<\/Position>/);
+assert.match(text, /<Name>Exit<\/Name>\n<URL>Init:Services<\/URL>\n<Position>2<\/Position>/);
+
+// Menus stop adding items before the phone's size limit
+const items = Array.from({ length: 100 }, (_, i) => ({ name: `Sun 7 15:30 Choral Evensong ${i}`, url: `http://phone.example/cisco/service/${String(i).padStart(16, '0')}` }));
+const menu = ciscoMenu({ title: 'This Week - Songmen', prompt: 'Songmen', items, softKeys: [{ name: 'Exit', url: 'Init:Services' }] });
+assert.ok(Buffer.byteLength(menu) <= CISCO_MAX_BYTES);
+assert.ok(menu.match(/<MenuItem>/g).length > 10);
+assert.match(menu, /<\/MenuItem>\n<SoftKeyItem>[\s\S]*<\/CiscoIPPhoneMenu>$/);
+
+// Detail lines: full music by category, then preacher and notes
+const formatter = createFormatter();
+const service = {
+  date: new Date('2025-09-07T12:00:00Z'),
+  time: '15:30',
+  service: 'Choral Evensong',
+  liturgicalDay: 'Trinity 12',
+  choir: 'Boys and Songmen',
+  pieces: { settings: ['Stanford in G'], anthems: ['Give us the wings of faith Bullock'], psalms: [], hymns: [], organ: [] },
+  preacher: 'The Dean',
+  notes: ['followed by Benediction']
+};
+assert.deepStrictEqual(serviceLines(service, formatter), [
+  'Sun 7 Sep 15:30',
+  'Choral Evensong',
+  'Trinity 12',
+  'Choir: Boys & Songmen',
+  'Settings:',
+  '- Mag and Nunc in G - Stanford',
+  'Anthems:',
+  '- Give us the wings of faith -',
+  ' Bullock',
+  'Preacher: The Dean',
+  'Note: followed by Benediction'
+]);
+
+// The liturgical day from the day header follows the service name, wrapped like the rest; none, no line
+const feast = serviceLines({ ...service, liturgicalDay: 'The Eleventh Sunday after Trinity (Proper 15)' }, formatter);
+assert.deepStrictEqual(feast.slice(1, 4), ['Choral Evensong', 'The Eleventh Sunday after', ' Trinity (Proper 15)']);
+assert.strictEqual(serviceLines({ ...service, liturgicalDay: null }, formatter)[2], 'Choir: Boys & Songmen');
+assert.match(ciscoText({ title: 'Next Service', text: feast.join('\n'), softKeys: [] }), /<Text>Sun 7 Sep 15:30\nChoral Evensong\nThe Eleventh Sunday after\n Trinity \(Proper 15\)\n/);
+
+// Paging clamps to the pages there are
+assert.deepStrictEqual(pageOf([1, 2, 3, 4, 5], 1, 2), { items: [3, 4], page: 1, pages: 3 });
+assert.deepStrictEqual(pageOf([1, 2, 3], 9, 2), { items: [3], page: 1, pages: 2 });
+assert.deepStrictEqual(pageOf([], 0, 2), { items: [], page: 0, pages: 1 });
+
+// Routes: the browser from a loaded list (Saturday 6 September), links under the request's host
+const server = await startServer();
+try {
+  const get = url => server.fastify.inject({ url, headers: { host: 'phone.test' } });
+  const softKeys = xml => [...xml.matchAll(/<SoftKeyItem>\n<Name>([^<]+)<\/Name>\n<URL>([^<]+)<\/URL>/g)].map(match => [match[1], match[2]]);
+  const menuItems = xml => [...xml.matchAll(/<MenuItem>\n<Name>([^<]+)<\/Name>\n<URL>([^<]+)<\/URL>/g)].map(match => [match[1], match[2]]);
+
+  let response = await get('/cisco/menu?choir=girls&type=evensong');
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'text/xml; charset=US-ASCII');
+  assert.strictEqual(response.headers.vary, undefined);
+  assert.match(response.body, /<Title>Leicester Cathedral Girls<\/Title>/);
+  assert.deepStrictEqual(menuItems(response.body), [
+    ['Next', 'http://phone.test/cisco/next?choir=girls'],
+    ['This Week', 'http://phone.test/cisco/week?choir=girls'],
+    ['Next Week', 'http://phone.test/cisco/week?choir=girls&amp;week=1']
+  ]);
+
+  // Week menus page by week; each item opens the service's detail screen
+  response = await get('/cisco/week');
+  assert.match(response.body, /<Title>This Week - Songmen<\/Title>/);
+  const [[label, serviceUrl]] = menuItems(response.body);
+  assert.strictEqual(label, 'Tomorrow 10:30 Sung Eucharist');
+  assert.deepStrictEqual(softKeys(response.body), [['Select', 'SoftKey:Select'], ['NextWk', 'http://phone.test/cisco/week?week=1'], ['Exit', 'Init:Services']]);
+  response = await get('/cisco/week?week=1');
+  assert.match(response.body, /<Title>Week of Mon 8 Sep<\/Title>/);
+  assert.deepStrictEqual(menuItems(response.body).map(([name]) => name), ['Wed 10 17:30 Choral Evensong']);
+  assert.deepStrictEqual(softKeys(response.body).map(([name]) => name), ['Select', 'PrevWk', 'Exit']);
+  response = await get('/cisco/week?week=2');
+  assert.match(response.body, /<Text>No services this week<\/Text>/);
+  assert.deepStrictEqual(softKeys(response.body).map(([name]) => name), ['PrevWk', 'Exit']);
+
+  // Detail screens step through the upcoming services under the same filters
+  response = await get(serviceUrl.replace('http://phone.test', ''));
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.body, /<Title>Sung Eucharist<\/Title>\n<Prompt>Page 1\/1<\/Prompt>\n<Text>Sun 7 Sep 10:30\nSung Eucharist\nChoir: Boys &amp; Songmen\n/);
+  const [[next, nextUrl], back] = softKeys(response.body);
+  assert.strictEqual(next, 'Next');
+  assert.deepStrictEqual(back, ['Back', 'http://phone.test/cisco/week']);
+  response = await get(nextUrl.replace('http://phone.test', ''));
+  assert.match(response.body, /<Text>Wed 10 Sep 17:30\nChoral Evensong\n/);
+  assert.deepStrictEqual(softKeys(response.body).map(([name, url]) => name === 'Back' ? url : name), ['Prev', 'http://phone.test/cisco/week?week=1', 'Exit']);
+  response = await get('/cisco/next');
+  assert.match(response.body, /<Title>Next Songmen Service<\/Title>\n<Prompt>Page 1\/1<\/Prompt>\n<Text>Sun 7 Sep 10:30\n/);
+
+  // Errors are screens too, so the phone shows them
+  response = await get('/cisco/service/0000000000000000?choir=girls');
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.body, /<Text>Service not found. The music list may have changed.<\/Text>/);
+  assert.deepStrictEqual(softKeys(response.body)[0], ['Back', 'http://phone.test/cisco/week?choir=girls']);
+  response = await get('/cisco/next?choir=altos');
+  assert.match(response.body, /<Title>Next Service<\/Title>\n<Prompt>Error<\/Prompt>\n<Text>Unknown choir: altos/);
+
+  // The original single screen
+  response = await get('/cisco/text?mode=next');
+  assert.strictEqual(response.headers['content-type'], 'text/xml; charset=utf-8');
+  assert.match(response.body, /<Title>Leicester Cathedral Songmen<\/Title>\n<Prompt>Next service<\/Prompt>\n<Text>2025-09-07 10:30 {2}Sung Eucharist\n/);
+  response = await get('/cisco/text?choir=full');
+  assert.match(response.body, /<Prompt>This week<\/Prompt>\n<Text><\/Text>/);
+  response = await get('/cisco/text?choir=altos');
+  assert.match(response.body, /<Prompt>Error<\/Prompt>\n<Text>Unknown choir: altos/);
+} finally {
+  await server.close();
+}
+
+console.log('cisco ok');
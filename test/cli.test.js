@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runCli } from '../src/cli.js';
+import { minimalPdf } from './pdf-fixture.js';
+
+async function run(args) {
+  let stdout = '';
+  let stderr = '';
+  const code = await runCli(args, {
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } },
+    env: {}
+  });
+  return { code, stdout, stderr };
+}
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-test-'));
+const pdf = path.join(dir, 'list.pdf');
+await fs.writeFile(pdf, minimalPdf([
+  'MUSIC LIST 7 September - 14 September 2025',
+  'SUNDAY 7 SEPTEMBER',
+  '1030 Sung Eucharist (Boys and Songmen)',
+  'Ave verum corpus Byrd',
+  'Hymns 341, 300',
+  '1530 Choral Evensong (Girls Choir)',
+  'Stanford in G Responses Radcliffe',
+  'Psalm 23 Walford Davies',
+  'SUNDAY 14 SEPTEMBER HOLY CROSS DAY',
+  '1530 Choral Evensong (Songmen)',
+  'Faire is the heaven Harris',
+  'Preacher: The Precentor',
+  'followed by Benediction; broadcast live on BBC Radio 3'
+]), 'latin1');
+
+try {
+  // Human text by default
+  let result = await run(['parse', pdf]);
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /^2025-09-07 10:30 {2}Sung Eucharist\nChoir: Boys & Songmen\nAnthems: Ave verum corpus — Byrd\nHymns: Hymn 341; Hymn 300\n/);
+  assert.match(result.stdout, /Settings: Magnificat and Nunc Dimittis in G — Stanford; Responses — Radcliffe/);
+
+  // Choir filter and date range
+  result = await run(['parse', pdf, '--format', 'json', '--choir', 'songmen', '--to', '2025-09-10']);
+  const json = JSON.parse(result.stdout);
+  assert.strictEqual(json.end_date, '2025-09-14');
+  assert.deepStrictEqual(json.services.map(s => `${s.date} ${s.time}`), ['2025-09-07 10:30']);
+  assert.strictEqual(json.services[0].start, '2025-09-07T09:30:00.000Z');
+  assert.strictEqual(json.services[0].liturgical_day, null);
+
+  // Service type filter
+  result = await run(['parse', pdf, '--format', 'json', '--type', 'eucharist']);
+  assert.deepStrictEqual(JSON.parse(result.stdout).services.map(s => s.service_type), ['eucharist']);
+  assert.strictEqual((await run(['parse', pdf, '--type', 'picnic'])).code, 2);
+
+  // --now drives "today" and --upcoming
+  result = await run(['parse', pdf, '--format', 'json', '--now', '2025-09-07T12:00', '--from', 'today', '--upcoming']);
+  assert.deepStrictEqual(JSON.parse(result.stdout).services.map(s => `${s.date} ${s.time}`), ['2025-09-07 15:30', '2025-09-14 15:30']);
+  const last = JSON.parse(result.stdout).services[1];
+  assert.strictEqual(last.liturgical_day, 'Holy Cross Day');
+  assert.strictEqual(last.source_id, 'leicester');
+  // Service notes are fields, not pieces
+  assert.deepStrictEqual(last.pieces.anthems, ['Faire is the heaven — Harris']);
+  assert.deepStrictEqual([last.preacher, last.officiant, last.notes, last.broadcast],
+    ['The Precentor', null, ['followed by Benediction', 'broadcast live on BBC Radio 3'], true]);
+
+  // CSV: a header row, then one row per service
+  result = await run(['parse', pdf, '--format', 'csv', '--choir', 'girls']);
+  const rows = result.stdout.trim().split('\r\n');
+  assert.strictEqual(rows[0], 'date,time,service,service_type,liturgical_day,choir,formations,settings,anthems,psalms,hymns,organ,preacher,officiant,notes,broadcast,source_id');
+  assert.strictEqual(rows.length, 2);
+  assert.ok(rows[1].startsWith('2025-09-07,15:30,Choral Evensong,evensong,,Girls Choir,girls,'));
+
+  // ICS uses the same events as the calendar feed
+  result = await run(['parse', pdf, '--format', 'ics', '--now', '2025-09-01']);
+  assert.match(result.stdout, /^BEGIN:VCALENDAR\r\n/);
+  assert.strictEqual(result.stdout.match(/BEGIN:VEVENT/g).length, 3);
+  assert.match(result.stdout, /DTSTART;TZID=Europe\/London:20250907T103000/);
+
+  // Usage errors exit 2, unreadable input exits 1
+  assert.strictEqual((await run(['parse', pdf, '--format', 'xml'])).code, 2);
+  assert.strictEqual((await run(['parse', pdf, '--choir', 'altos'])).code, 2);
+  assert.strictEqual((await run(['parse', pdf, '--from', 'soon'])).code, 2);
+  assert.strictEqual((await run(['parse', pdf, '--source', 'york'])).code, 2);
+  assert.strictEqual((await run(['parse'])).code, 2);
+  assert.strictEqual((await run(['list', pdf])).code, 2);
+  result = await run(['parse', path.join(dir, 'missing.pdf')]);
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /missing\.pdf/);
+  assert.strictEqual((await run(['--help'])).code, 0);
+} finally {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+console.log('cli ok');
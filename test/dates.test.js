@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { discoverMusicLists } from '../src/discovery.js';
+import { inferDayDate, parseDateRange, parseLiturgicalDay } from '../src/parser.js';
+
+const iso = (date) => date.toISOString().split('T')[0];
+
+// Header ranges: the start year is the end year unless the start month comes later
+let range = parseDateRange('MUSIC LIST 30 November – 11 January 2026');
+assert.deepStrictEqual([iso(range.startDate), iso(range.endDate)], ['2025-11-30', '2026-01-11']);
+range = parseDateRange('31 August - 21 September 2025');
+assert.deepStrictEqual([iso(range.startDate), iso(range.endDate)], ['2025-08-31', '2025-09-21']);
+range = parseDateRange('28 December 2025 — 4 January 2026');
+assert.deepStrictEqual([iso(range.startDate), iso(range.endDate)], ['2025-12-28', '2026-01-04']);
+assert.strictEqual(parseDateRange('SUNDAY 31 AUGUST TRINITY 11'), null);
+
+// Day headers inside a range spanning the new year
+const christmas = parseDateRange('30 November – 11 January 2026');
+let day = inferDayDate(25, 'december', 'THURSDAY', christmas);
+assert.deepStrictEqual([iso(day.date), day.weekdayMatches], ['2025-12-25', true]);
+day = inferDayDate(1, 'january', 'THURSDAY', christmas);
+assert.deepStrictEqual([iso(day.date), day.weekdayMatches], ['2026-01-01', true]);
+
+// A wrong weekday keeps the date in range but is flagged
+day = inferDayDate(25, 'december', 'TUESDAY', christmas);
+assert.deepStrictEqual([iso(day.date), day.weekdayMatches], ['2025-12-25', false]);
+
+// Without a range the weekday picks the year, whatever the year of now
+day = inferDayDate(1, 'january', 'THURSDAY', { now: new Date('2025-12-20T12:00:00Z') });
+assert.strictEqual(iso(day.date), '2026-01-01');
+day = inferDayDate(21, 'december', 'SUNDAY', { now: new Date('2026-01-10T12:00:00Z') });
+assert.strictEqual(iso(day.date), '2025-12-21');
+// ...and with no matching weekday, the year nearest the previous header
+day = inferDayDate(2, 'january', 'MONDAY', { previous: new Date('2025-12-28T12:00:00Z'), now: new Date('2025-11-01T12:00:00Z') });
+assert.deepStrictEqual([iso(day.date), day.weekdayMatches], ['2026-01-02', false]);
+assert.strictEqual(inferDayDate(3, 'smarch', 'MONDAY'), null);
+
+// Liturgical day: the rest of a day header, in title case unless already mixed case
+assert.strictEqual(parseLiturgicalDay(' TRINITY 11'), 'Trinity 11');
+assert.strictEqual(parseLiturgicalDay('THE FEAST OF ST MATTHEW, APOSTLE AND EVANGELIST'), 'The Feast of St Matthew, Apostle and Evangelist');
+assert.strictEqual(parseLiturgicalDay('– LENT II'), 'Lent II');
+assert.strictEqual(parseLiturgicalDay('THE BVM'), 'The BVM');
+assert.strictEqual(parseLiturgicalDay('Christ the King'), 'Christ the King');
+assert.strictEqual(parseLiturgicalDay(''), null);
+
+// Discovery in January: December's list ended last year, so the January one is latest
+const html = `
+  <a href="/advent.pdf">Music list 30 November to 21 December</a>
+  <a href="/christmas.pdf">Music list 22 December to 11 January</a>
+  <a href="/epiphany.pdf">Music list 12 January to 1 February 2026</a>`;
+let lists = discoverMusicLists(html, { now: new Date('2026-01-05T12:00:00Z') });
+assert.deepStrictEqual(lists.map(l => l.url.split('/').pop()), ['epiphany.pdf', 'christmas.pdf', 'advent.pdf']);
+assert.strictEqual(lists[2].endDate.getFullYear(), 2025);
+// ...and in December the January end date is next year
+lists = discoverMusicLists(html, { now: new Date('2025-12-01T12:00:00Z') });
+assert.deepStrictEqual(lists.map(l => l.endDate.getFullYear()), [2026, 2026, 2025]);
+
+console.log('dates ok');
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { buildParseReport, formatParseReport, scoreService } from '../src/diagnostics.js';
+
+function svc(overrides = {}) {
+  return {
+    date: new Date('2025-08-31T12:00:00Z'),
+    time: '15:30',
+    service: 'Choral Evensong',
+    serviceType: 'evensong',
+    choir: 'Songmen',
+    formations: ['songmen'],
+    pieces: { settings: ['Responses — Moore'], anthems: [], psalms: [], hymns: [], organ: [] },
+    ...overrides
+  };
+}
+
+function line(n, kind, text, extra = {}) {
+  return { line: n, page: 1, text, kind, pattern: null, pieces: [], issues: [], service: null, ...extra };
+}
+
+assert.deepStrictEqual(scoreService(svc(), []), { confidence: 1, reasons: [] });
+
+const noChoir = scoreService(svc({ choir: '', formations: [] }), [line(3, 'service', '1530 Choral Evensong', { service: 0, issues: ['no choir in parentheses'] })]);
+assert.strictEqual(noChoir.confidence, 0.7);
+assert.deepStrictEqual(noChoir.reasons, ['no choir', 'line 3: no choir in parentheses']);
+
+// Said services are expected to have no music
+const empty = { settings: [], anthems: [], psalms: [], hymns: [], organ: [] };
+assert.strictEqual(scoreService(svc({ pieces: empty, formations: ['said'] }), []).confidence, 1);
+assert.strictEqual(scoreService(svc({ pieces: empty }), []).confidence, 0.8);
+assert.strictEqual(scoreService(svc({ date: null, choir: '', pieces: empty }), []).confidence, 0.1);
+
+const trace = [
+  line(1, 'header', 'MUSIC LIST 31 August – 21 September 2025'),
+  line(2, 'day', 'SUNDAY 31 AUGUST'),
+  line(3, 'service', '1530 Choral Evensong (Songmen)', { service: 0 }),
+  line(4, 'piece', 'Responses Moore Preacher: The Dean', {
+    service: 0,
+    pattern: 'single',
+    pieces: [{ raw: 'Responses Moore', category: 'settings', normalized: 'Responses — Moore', entries: ['Responses — Moore'] }],
+    notes: [{ kind: 'preacher', text: 'The Dean' }]
+  }),
+  line(5, 'piece', 'Faire is the heaven', {
+    service: 0,
+    pattern: 'single',
+    pieces: [{ raw: 'Faire is the heaven', category: 'anthems', normalized: 'Faire is the heaven', entries: ['Faire is the heaven'] }],
+    issues: ['no composer found in "Faire is the heaven"']
+  })
+];
+const report = buildParseReport('file:///list.pdf', { services: [svc()], endDate: new Date('2025-09-21T12:00:00Z') }, trace);
+assert.strictEqual(report.end_date, '2025-09-21');
+assert.strictEqual(report.services[0].confidence, 0.9);
+assert.deepStrictEqual(report.suspicious.map(l => l.line), [5]);
+
+const text = formatParseReport(report);
+assert.ok(text.includes('4    piece    Responses Moore Preacher: The Dean [single] → #0'));
+assert.ok(text.includes('settings "Responses Moore" → "Responses — Moore"'));
+assert.ok(text.includes('preacher "The Dean"'));
+assert.ok(text.includes('! no composer found in "Faire is the heaven"'));
+assert.ok(text.includes('#0 2025-08-31 15:30 Choral Evensong [evensong] (Songmen) confidence 0.90'));
+assert.ok(text.includes('Suspicious lines: 1'));
+
+console.log('diagnostics ok');
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { buildAtomFeed, buildRssFeed, escapeXml, feedId, listEntryId, serviceEntryId } from '../src/feed.js';
+import { startServer } from './server-fixture.js';
+
+assert.strictEqual(escapeXml(`Boys & "Songmen" <'full'>`), 'Boys &amp; &quot;Songmen&quot; &lt;&apos;full&apos;&gt;');
+
+// Ids are stable and distinct per service, list and filter combination
+assert.strictEqual(serviceEntryId('918284d956ffc6f4'), 'urn:cathedral-music-parser:service:918284d956ffc6f4');
+assert.strictEqual(listEntryId('https://example.org/sep.pdf'), listEntryId('https://example.org/sep.pdf'));
+assert.notStrictEqual(listEntryId('https://example.org/sep.pdf'), listEntryId('https://example.org/oct.pdf'));
+assert.strictEqual(feedId({ choirs: ['songmen'] }), 'urn:cathedral-music-parser:feed:songmen');
+assert.strictEqual(feedId({ types: ['evensong'], sources: ['york'] }), 'urn:cathedral-music-parser:feed:all;type=evensong;source=york');
+
+const feed = {
+  id: feedId({ choirs: ['songmen'] }),
+  title: 'Leicester Cathedral Songmen',
+  link: 'https://music.example.org/html?choir=songmen',
+  selfUrl: 'https://music.example.org/songmen/feed.atom',
+  now: new Date('2025-09-01T08:00:00Z'),
+  entries: [
+    {
+      id: listEntryId('https://example.org/sep.pdf'),
+      title: 'New music list: Leicester Cathedral',
+      link: 'https://example.org/sep.pdf',
+      updated: new Date('2025-09-01T08:00:00Z'),
+      content: 'A new music list has been published: https://example.org/sep.pdf'
+    },
+    {
+      id: serviceEntryId('918284d956ffc6f4'),
+      title: '2025-09-07 15:30 Choral Evensong',
+      link: 'https://music.example.org/html/service/918284d956ffc6f4',
+      updated: new Date('2025-09-03T10:00:00Z'),
+      content: '2025-09-07 15:30  Choral Evensong\nChoir: Boys & Songmen'
+    }
+  ]
+};
+
+// Atom: feed updated is the latest entry; content is escaped plain text
+const atom = buildAtomFeed(feed);
+assert.match(atom, /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+assert.match(atom, /<id>urn:cathedral-music-parser:feed:songmen<\/id>\n<title>Leicester Cathedral Songmen<\/title>\n<updated>2025-09-03T10:00:00.000Z<\/updated>/);
+assert.match(atom, /<link rel="self" type="application\/atom\+xml" href="https:\/\/music.example.org\/songmen\/feed.atom"\/>/);
+assert.strictEqual(atom.match(/<entry>/g).length, 2);
+assert.match(atom, /<entry>\n<id>urn:cathedral-music-parser:service:918284d956ffc6f4<\/id>\n<title>2025-09-07 15:30 Choral Evensong<\/title>\n<updated>2025-09-03T10:00:00.000Z<\/updated>/);
+assert.match(atom, /<content type="text">2025-09-07 15:30 {2}Choral Evensong\nChoir: Boys &amp; Songmen<\/content>/);
+
+// Without entries the feed is dated by now
+assert.match(buildAtomFeed({ ...feed, entries: [] }), /<updated>2025-09-01T08:00:00.000Z<\/updated>/);
+
+// RSS: GUIDs are the entry ids, dates in RFC 822 form
+const rss = buildRssFeed(feed);
+assert.match(rss, /<rss version="2.0" xmlns:atom="http:\/\/www.w3.org\/2005\/Atom">\n<channel>/);
+assert.match(rss, /<lastBuildDate>Wed, 03 Sep 2025 10:00:00 GMT<\/lastBuildDate>/);
+assert.strictEqual(rss.match(/<item>/g).length, 2);
+assert.match(rss, /<guid isPermaLink="false">urn:cathedral-music-parser:service:918284d956ffc6f4<\/guid>\n<pubDate>Wed, 03 Sep 2025 10:00:00 GMT<\/pubDate>/);
+assert.match(rss, /<link>https:\/\/example.org\/sep.pdf<\/link>/);
+
+// Routes: the loaded list and its upcoming Songmen services, linked under the request's host
+const server = await startServer();
+try {
+  const headers = { host: 'music.example.org', 'x-forwarded-proto': 'https' };
+  let response = await server.fastify.inject({ url: '/songmen/feed.atom', headers });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'application/atom+xml; charset=utf-8');
+  assert.strictEqual(response.headers['x-stale'], 'false');
+  let body = response.body;
+  assert.match(body, /<id>urn:cathedral-music-parser:feed:songmen<\/id>\n<title>Leicester Cathedral Songmen<\/title>/);
+  assert.match(body, /<link rel="self" type="application\/atom\+xml" href="https:\/\/music.example.org\/songmen\/feed.atom"\/>/);
+  assert.match(body, /<link rel="alternate" type="text\/html" href="https:\/\/music.example.org\/html\?choir=songmen"\/>/);
+  assert.deepStrictEqual([...body.matchAll(/<entry>\n<id>[^<]+<\/id>\n<title>([^<]+)<\/title>/g)].map(match => match[1]), [
+    'New music list: Leicester Cathedral',
+    '2025-09-07 10:30 Sung Eucharist',
+    '2025-09-10 17:30 Choral Evensong'
+  ]);
+  assert.match(body, /<link rel="alternate" href="https:\/\/music.example.org\/html\/service\/[^"]+"\/>/);
+
+  // Filters as the calendar feed; the self link keeps the query
+  response = await server.fastify.inject({ url: '/songmen/feed.rss?choir=girls,full', headers: { host: 'localhost:3000' } });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'application/rss+xml; charset=utf-8');
+  body = response.body;
+  assert.match(body, /<title>Leicester Cathedral Girls\/Full Choir<\/title>/);
+  assert.match(body, /<atom:link rel="self" type="application\/rss\+xml" href="http:\/\/localhost:3000\/songmen\/feed.rss\?choir=girls,full"\/>/);
+  assert.deepStrictEqual([...body.matchAll(/<item>\n<title>([^<]+)<\/title>/g)].map(match => match[1]), [
+    'New music list: Leicester Cathedral',
+    '2025-09-07 15:30 Choral Evensong',
+    '2025-09-14 15:30 Choral Evensong'
+  ]);
+
+  for (const url of ['/songmen/feed.atom?choir=altos', '/songmen/feed.rss?type=matins', '/songmen/feed.rss?source=york']) {
+    response = await server.fastify.inject({ url });
+    assert.strictEqual(response.statusCode, 400, url);
+    assert.strictEqual(response.headers['content-type'], 'text/plain; charset=utf-8');
+  }
+} finally {
+  await server.close();
+}
+
+console.log('feed ok');
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { createFormatter } from '../src/format.js';
+import { compileSources } from '../src/sources.js';
+import { addMonths, escapeHtml, longDate, messagePage, monthPage, monthWeeks, servicePage, upcomingPage } from '../src/html.js';
+import { startServer } from './server-fixture.js';
+
+function service(date, time, title, choir, pieces = {}, extra = {}) {
+  return {
+    date: new Date(`${date}T12:00:00Z`),
+    time,
+    service: title,
+    choir,
+    pieces: { settings: [], anthems: [], psalms: [], hymns: [], organ: [], ...pieces },
+    notes: [],
+    ...extra
+  };
+}
+
+const sources = compileSources({ sources: [{ id: 'leicester' }, { id: 'york', adapter: 'pdf-list', name: 'York Minster', url: 'https://example.org', link_pattern: 'to (?<day>\\d+) (?<month>\\w+)' }] });
+const formatter = createFormatter({ sources });
+const services = [
+  service('2025-09-07', '10:30', 'Sung Eucharist', 'Boys and Songmen', { anthems: ['Ave verum corpus Byrd'] }, { liturgicalDay: 'Trinity 12' }),
+  service('2025-09-07', '15:30', 'Choral Evensong', 'Girls Choir', { settings: ['Stanford in G'], hymns: ['Hymns 341, 300'] }, { preacher: 'The Dean', notes: ['followed by <Benediction>'] }),
+  service('2025-09-30', '17:30', 'Evensong', 'Lay Clerks', {}, { sourceId: 'york' })
+];
+
+assert.strictEqual(escapeHtml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+assert.strictEqual(longDate('2025-09-07'), 'Sunday 7 September 2025');
+assert.strictEqual(addMonths('2025-12', 1), '2026-01');
+assert.strictEqual(addMonths('2025-01', -1), '2024-12');
+
+// Monday-first weeks padded with neighbouring days
+const weeks = monthWeeks('2025-09');
+assert.strictEqual(weeks.length, 5);
+assert.deepStrictEqual([weeks[0][0], weeks[4][6]], ['2025-09-01', '2025-10-05']);
+const february = monthWeeks('2026-02');
+assert.deepStrictEqual([february.length, february[0][0], february[4][6]], [5, '2026-01-26', '2026-03-01']);
+
+const pageOptions = { siteName: 'Leicester Cathedral', pdfUrls: ['https://example.org/files/Music%20List%20Sept.pdf'], query: { choir: 'girls', month: '2025-01' } };
+
+// Upcoming list: grouped by day, linked to detail pages with the filters kept
+let html = upcomingPage({ ...pageOptions, services, formatter });
+assert.match(html, /^<!DOCTYPE html>/);
+assert.match(html, /<title>Upcoming services — Leicester Cathedral<\/title>/);
+assert.strictEqual(html.match(/<section class="day">/g).length, 2);
+assert.match(html, /<h2>Sunday 7 September 2025<\/h2>/);
+assert.match(html, new RegExp(`<a href="/html/service/${formatter.serviceId(services[1])}\\?choir=girls">15:30 Choral Evensong</a>`));
+assert.match(html, /<p class="meta">Trinity 12 · Boys and Songmen<\/p>/);
+assert.match(html, /<p class="meta">York Minster · Lay Clerks<\/p>/);
+assert.match(html, /<a href="https:\/\/example.org\/files\/Music%20List%20Sept.pdf">Music List Sept.pdf<\/a>/);
+assert.match(html, /<nav><a href="\/html\?choir=girls">/);
+assert.ok(!html.includes('<script'));
+assert.ok(!html.includes('class="banner"'));
+assert.match(upcomingPage({ services: [], formatter, banner: 'STALE: Music list ended 2025-09-21 — no newer list published.' }),
+  /<p class="banner">STALE: Music list ended 2025-09-21 — no newer list published.<\/p>[\s\S]*<p>No upcoming services.<\/p>/);
+
+// Month grid: services on their day, today marked, paging keeps filters
+html = monthPage({ ...pageOptions, month: '2025-09', today: '2025-09-02', services, formatter });
+assert.match(html, /<h1>September 2025<\/h1>/);
+assert.strictEqual(html.match(/<tr><td/g).length, 5);
+assert.match(html, /<td><span class="weekday">Sunday <\/span>7<ul><li><a [^>]+>10:30 Sung Eucharist<\/a><\/li><li><a [^>]+>15:30 Choral Evensong<\/a><\/li><\/ul><\/td>/);
+assert.match(html, /<td class="today empty"><span class="weekday">Tuesday <\/span>2<\/td>/);
+assert.match(html, /<td class="outside empty"><span class="weekday">Wednesday <\/span>1<\/td>/);
+assert.match(html, /<a href="\/html\/month\?choir=girls&amp;month=2025-08">← August 2025<\/a>/);
+assert.match(html, /<a href="\/html\/month\?choir=girls&amp;month=2025-10">October 2025 →<\/a>/);
+
+// Detail page: every category, notes escaped
+html = servicePage({ ...pageOptions, service: services[1], formatter });
+assert.match(html, /<h1>Choral Evensong<\/h1>/);
+assert.match(html, /<dt>Date<\/dt><dd>Sunday 7 September 2025, 15:30<\/dd>/);
+assert.match(html, /<dt>Preacher<\/dt><dd>The Dean<\/dd>/);
+assert.match(html, /<h2>Settings<\/h2>\n<ul><li>Mag and Nunc in G — Stanford<\/li><\/ul>/);
+assert.match(html, /<h2>Hymns<\/h2>\n<ul><li>Hymn 341<\/li><li>Hymn 300<\/li><\/ul>/);
+assert.match(html, /<li>followed by &lt;Benediction&gt;<\/li>/);
+assert.match(servicePage({ service: services[2], formatter }), /<dt>At<\/dt><dd>York Minster<\/dd>[\s\S]*<p>No music listed.<\/p>/);
+
+assert.match(messagePage('Service not found', 'No <such> service'), /<h1>Service not found<\/h1>\n<p>No &lt;such&gt; service<\/p>/);
+
+// Routes: upcoming page, month grid and detail page from a loaded list, with their errors
+const server = await startServer();
+try {
+  let response = await server.fastify.inject({ url: '/html' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'text/html; charset=utf-8');
+  assert.strictEqual(response.headers['x-source-end-date'], '2025-09-14');
+  assert.strictEqual(response.body.match(/<div class="service">/g).length, 4);
+  assert.match(response.body, /<title>Upcoming services — Leicester Cathedral<\/title>/);
+  const links = [...response.body.matchAll(/<h3><a href="(\/html\/service\/[^"]+)">([^<]+)<\/a>/g)].map(match => [match[1], match[2]]);
+  assert.deepStrictEqual(links.map(([, label]) => label), ['10:30 Sung Eucharist', '15:30 Choral Evensong', '17:30 Choral Evensong', '15:30 Choral Evensong']);
+
+  // ?choir= filters the page and is carried into its links
+  response = await server.fastify.inject({ url: '/html?choir=girls' });
+  assert.strictEqual(response.body.match(/<div class="service">/g).length, 1);
+  assert.match(response.body, /<a href="\/html\/service\/[^"?]+\?choir=girls">15:30 Choral Evensong<\/a>/);
+  response = await server.fastify.inject({ url: '/html?choir=altos' });
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(response.headers['content-type'], 'text/html; charset=utf-8');
+  assert.match(response.body, /<h1>Invalid filter<\/h1>\n<p>Unknown choir: altos/);
+
+  response = await server.fastify.inject({ url: links[2][0] });
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.body, /<dt>Date<\/dt><dd>Wednesday 10 September 2025, 17:30<\/dd>/);
+  assert.match(response.body, /<li>Faire is the heaven — Harris<\/li>/);
+  response = await server.fastify.inject({ url: '/html/service/2025-09-10-0000-nothing' });
+  assert.strictEqual(response.statusCode, 404);
+  assert.strictEqual(response.headers['content-type'], 'text/html; charset=utf-8');
+  assert.match(response.body, /<h1>Service not found<\/h1>/);
+
+  // The month defaults to this one; past months and bad values
+  response = await server.fastify.inject({ url: '/html/month' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.body, /<h1>September 2025<\/h1>/);
+  assert.match(response.body, /<td class="today empty"><span class="weekday">Saturday <\/span>6<\/td>/);
+  assert.strictEqual(response.body.match(/<li><a /g).length, 4);
+  response = await server.fastify.inject({ url: '/html/month?month=2025-08&type=evensong' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.body, /<h1>August 2025<\/h1>/);
+  assert.strictEqual(response.body.match(/<li><a /g), null);
+  for (const month of ['2025-13', '2025-9', 'September', '']) {
+    response = await server.fastify.inject({ url: `/html/month?month=${month}` });
+    assert.strictEqual(response.statusCode, 400, month);
+    assert.match(response.body, new RegExp(`<h1>Invalid month<\\/h1>\\n<p>Invalid month: ${month} \\(use YYYY-MM\\)<\\/p>`));
+  }
+  response = await server.fastify.inject({ url: '/html/month?month=2025-09&type=matins' });
+  assert.strictEqual(response.statusCode, 400);
+  assert.match(response.body, /<h1>Invalid filter<\/h1>/);
+} finally {
+  await server.close();
+}
+
+console.log('html ok');
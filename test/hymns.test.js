@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { compileHymnal, emptyHymnal, formatHymn, hymnNumber, loadHymnal, resolveHymn, splitHymns } from '../src/hymns.js';
+import { createFormatter } from '../src/format.js';
+
+assert.deepStrictEqual(splitHymns('Hymns 707, 421, Mungu ni mwema, 806'), ['Hymn 707', 'Hymn 421', 'Mungu ni mwema', 'Hymn 806']);
+assert.deepStrictEqual(splitHymns('Hymn 12'), ['Hymn 12']);
+assert.deepStrictEqual(splitHymns('Hymns 12 & 34; 56 and 78'), ['Hymn 12', 'Hymn 34', 'Hymn 56', 'Hymn 78']);
+assert.deepStrictEqual(splitHymns('Hymns: 398 (omit v. 3), Jerusalem'), ['Hymn 398 (omit v. 3)', 'Jerusalem']);
+
+assert.strictEqual(hymnNumber('Hymn 707'), '707');
+assert.strictEqual(hymnNumber('Hymn 271a'), '271a');
+assert.strictEqual(hymnNumber('Mungu ni mwema'), null);
+
+const hymnal = compileHymnal({
+  book: 'Test Hymnal',
+  hymns: {
+    '707': { title: 'Example hymn', first_line: 'Example first line', tune: 'EXAMPLE' },
+    '421': { first_line: 'Only a first line' }
+  }
+});
+
+assert.deepStrictEqual(resolveHymn('Hymn 707', hymnal), {
+  number: '707', book: 'Test Hymnal', title: 'Example hymn', first_line: 'Example first line', tune: 'EXAMPLE'
+});
+assert.strictEqual(resolveHymn('Hymn 806', hymnal), null);
+assert.strictEqual(resolveHymn('Mungu ni mwema', hymnal), null);
+
+assert.strictEqual(formatHymn('Hymn 707', hymnal), 'Hymn 707: Example hymn (EXAMPLE)');
+assert.strictEqual(formatHymn('Hymn 421', hymnal), 'Hymn 421: Only a first line');
+assert.strictEqual(formatHymn('Hymn 806', hymnal), 'Hymn 806');
+assert.strictEqual(formatHymn('Hymn 707', emptyHymnal()), 'Hymn 707');
+
+// Every entry split from a line keeps that line as its source, also in snapshots that hold whole
+// lines and no pieceSources, where later entries used to take the wrong line
+const details = createFormatter({ hymnal }).servicePieceDetails({
+  service: 'Choral Evensong',
+  pieces: { settings: [], anthems: [], organ: [], hymns: ['Hymns 707, 421', 'Hymn 806'], psalms: ['Psalms 110 Garrett, 150 Stanford', 'Psalm 23 Walford Davies'] }
+});
+assert.deepStrictEqual(details.hymns.map(h => [h.hymn.number, h.source]), [['707', 'Hymns 707, 421'], ['421', 'Hymns 707, 421'], ['806', 'Hymn 806']]);
+assert.deepStrictEqual(details.psalms.map(p => [p.psalm.number, p.source]), [
+  [110, 'Psalms 110 Garrett, 150 Stanford'],
+  [150, 'Psalms 110 Garrett, 150 Stanford'],
+  [23, 'Psalm 23 Walford Davies']
+]);
+
+// The bundled index loads (it ships without hymn texts, so nothing resolves)
+const bundled = await loadHymnal();
+assert.ok(bundled.hymns instanceof Map);
+assert.strictEqual(formatHymn('Hymn 707', bundled), 'Hymn 707');
+
+// An index loaded from a HYMNAL_PATH file resolves through the formatters
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'hymns-test-'));
+try {
+  const file = path.join(dir, 'hymnal.json');
+  await fs.writeFile(file, JSON.stringify({ book: 'Test Hymnal', hymns: { 707: { title: 'Example hymn', tune: 'EXAMPLE' } } }));
+  const formatter = createFormatter({ hymnal: await loadHymnal(file) });
+  const service = { date: new Date('2025-09-07T12:00:00Z'), time: '10:30', service: 'Sung Eucharist', choir: 'Songmen', pieces: { settings: [], anthems: [], psalms: [], organ: [], hymns: ['Hymn 707', 'Hymn 806'] } };
+  assert.deepStrictEqual(formatter.servicePiecesJson(service).hymns, ['Hymn 707: Example hymn (EXAMPLE)', 'Hymn 806']);
+  assert.match(formatter.formatServiceHuman(service), /Hymns: Hymn 707: Example hymn \(EXAMPLE\); Hymn 806/);
+} finally {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+await assert.rejects(loadHymnal('/nonexistent/hymnal.json'), /Failed to load hymnal/);
+
+console.log('hymns ok');
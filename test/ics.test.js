@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { buildCalendar, escapeText, foldLine, serviceUid, updateRevisions } from '../src/ics.js';
+
+assert.strictEqual(escapeText('a; b, c\\d\nnext'), 'a\\; b\\, c\\\\d\\nnext');
+
+// Folded lines never exceed 75 octets and unfold back to the original
+const long = `DESCRIPTION:${'Fauré — Cantique de Jean Racine; '.repeat(5)}`;
+const folded = foldLine(long);
+for (const part of folded.split('\r\n')) {
+  assert.ok(Buffer.byteLength(part, 'utf8') <= 75, `line too long: ${part}`);
+}
+assert.strictEqual(folded.replace(/\r\n /g, ''), long);
+
+// UID is stable across revisions and independent of the music
+const uid = serviceUid('2025-08-31', '10:30', 'Sung Eucharist');
+assert.strictEqual(uid, serviceUid('2025-08-31', '10:30', ' Sung Eucharist '));
+assert.notStrictEqual(uid, serviceUid('2025-08-31', '15:30', 'Sung Eucharist'));
+
+const event = {
+  uid,
+  date: '2025-08-31',
+  time: '10:30',
+  summary: 'Sung Eucharist',
+  description: 'Choir: Boys & Songmen\nAnthems: Crux fidelis — MacDonald'
+};
+const t0 = new Date('2025-08-30T12:00:00Z');
+const t1 = new Date('2025-09-01T12:00:00Z');
+const first = updateRevisions([event], {}, t0);
+assert.strictEqual(first[uid].sequence, 0);
+const unchanged = updateRevisions([event], first, t1);
+assert.strictEqual(unchanged[uid].sequence, 0);
+assert.strictEqual(unchanged[uid].lastModified, t0.toISOString());
+const revised = updateRevisions([{ ...event, description: 'Choir: Boys & Songmen\nAnthems: Ave verum — Byrd' }], unchanged, t1);
+assert.strictEqual(revised[uid].sequence, 1);
+assert.strictEqual(revised[uid].lastModified, t1.toISOString());
+
+const ics = buildCalendar({
+  name: 'Test',
+  timezone: 'Europe/London',
+  refreshHours: 12,
+  events: [event],
+  revisions: revised,
+  now: t1
+});
+assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+assert.ok(ics.includes('BEGIN:VTIMEZONE\r\nTZID:Europe/London'));
+assert.ok(ics.includes('DTSTART;TZID=Europe/London:20250831T103000'));
+assert.ok(ics.includes('SEQUENCE:1'));
+assert.ok(ics.includes('REFRESH-INTERVAL;VALUE=DURATION:PT12H'));
+assert.ok(!/[^\r]\n/.test(ics), 'bare LF line ending');
+
+console.log('ics ok');
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { extractLines } from '../src/layout.js';
+import { layoutPdf } from './pdf-fixture.js';
+
+// pdf.js-style text item: 10pt, 5pt per character
+function item(str, x, y, width = str.length * 5) {
+  return { str, transform: [10, 0, 0, 10, x, y], width };
+}
+
+function texts(lines) {
+  return lines.map(l => l.text);
+}
+
+assert.deepStrictEqual(extractLines([]), []);
+
+// Rows tolerate baseline jitter; items split mid-word are rejoined without a space
+assert.deepStrictEqual(texts(extractLines([
+  item('Choral', 30, 700.6),
+  item('Evensong', 65, 700),
+  item('V', 30, 684),
+  item('oluntary', 35, 684.8),
+  item('Responses', 30, 668)
+])), ['Choral Evensong', 'Voluntary', 'Responses']);
+
+// Side-by-side page columns are read one after the other
+const twoColumns = [];
+['SUNDAY 31 AUGUST', '1030 Sung Eucharist (Boys and Songmen)', 'Ave verum corpus Byrd', 'Hymns 341, 300'].forEach((t, i) => {
+  twoColumns.push(item(t, 30, 700 - i * 16));
+});
+['SUNDAY 7 SEPTEMBER', '1530 Choral Evensong (Songmen)', 'Faire is the heaven Harris', 'Psalm 23 Walford Davies'].forEach((t, i) => {
+  twoColumns.push(item(t, 330, 700 - i * 16 + 0.5));
+});
+assert.deepStrictEqual(texts(extractLines(twoColumns)), [
+  'SUNDAY 31 AUGUST', '1030 Sung Eucharist (Boys and Songmen)', 'Ave verum corpus Byrd', 'Hymns 341, 300',
+  'SUNDAY 7 SEPTEMBER', '1530 Choral Evensong (Songmen)', 'Faire is the heaven Harris', 'Psalm 23 Walford Davies'
+]);
+
+// Text placed far off the page is dropped without sizing anything by its coordinates
+assert.deepStrictEqual(texts(extractLines([...twoColumns, item('crop mark', 1e12, 650), item('crop mark', -1e12, 650)])), texts(extractLines(twoColumns)));
+assert.deepStrictEqual(texts(extractLines([item('Hymns 341, 300', 30, 700, 1e12), item('Psalm 23', 30, 684)])), ['Hymns 341, 300', 'Psalm 23']);
+assert.deepStrictEqual(texts(extractLines([...twoColumns, item('crop mark', 900, 650)], { pageBox: [0, 0, 595, 842] })), texts(extractLines(twoColumns)));
+
+// Composer column (left-aligned names), even with service lines running across it
+const composerColumn = extractLines([
+  item('1030 Sung Eucharist (Boys and Songmen)', 30, 700),
+  item('Mass for Five Voices', 30, 684), item('Byrd', 200, 684.4),
+  item('A Prayer of St Patrick', 30, 668), item('Rutter', 200, 667.7),
+  item('Hymns 341, 300, 487', 30, 652)
+]);
+assert.deepStrictEqual(composerColumn.map(l => [l.title, l.composer]), [
+  [null, null],
+  ['Mass for Five Voices', 'Byrd'],
+  ['A Prayer of St Patrick', 'Rutter'],
+  [null, null]
+]);
+assert.strictEqual(composerColumn[1].text, 'Mass for Five Voices Byrd');
+
+// Right-aligned composer names line up on their right edge
+const rightAligned = extractLines([
+  item('God be in my head', 30, 700), item('Walford Davies', 280 - 70, 700),
+  item('Crux fidelis', 30, 684), item('MacDonald', 280 - 45, 684),
+  item('Like as the hart', 30, 668), item('Howells', 280 - 35, 668)
+]);
+assert.deepStrictEqual(rightAligned.map(l => l.composer), ['Walford Davies', 'MacDonald', 'Howells']);
+assert.deepStrictEqual(rightAligned.map(l => l.title), ['God be in my head', 'Crux fidelis', 'Like as the hart']);
+
+// A single wide gap on one row is not a column
+const oneGap = extractLines([
+  item('Crux fidelis', 30, 700), item('MacDonald', 200, 700),
+  item('Responses Moore', 30, 684)
+]);
+assert.deepStrictEqual(oneGap.map(l => l.composer), [null, null]);
+
+// Regression fixtures read through pdf.js, with real Helvetica widths rather than estimated ones
+async function pdfLines(runs) {
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(Buffer.from(layoutPdf(runs), 'latin1')), verbosity: pdfjsLib.VerbosityLevel.ERRORS }).promise;
+  const page = await pdf.getPage(1);
+  return extractLines((await page.getTextContent()).items, { pageBox: page.view });
+}
+
+function column(x, lines, top = 760) {
+  return lines.map((text, i) => ({ text, x, y: top - i * 14 }));
+}
+
+// The music list's two page columns: read left then right, no composer column
+const leftColumn = ['SUNDAY 31 AUGUST TRINITY 11', '1030 Sung Eucharist (Boys and Songmen)', 'Mass for Five Voices Byrd', 'Ave verum corpus Byrd', 'Hymns 341, 300, 487', '1530 Choral Evensong (Songmen)', 'Responses Smith', 'Walmisley in D minor', 'Faire is the heaven Harris'];
+const rightColumn = ['MONDAY 1 SEPTEMBER', '1730 Choral Evensong (Girls Choir)', 'Stanford in G', 'Responses Radcliffe', 'WEDNESDAY 3 SEPTEMBER', '1730 Choral Evensong (Songmen)', 'Give us the wings of faith Bullock', 'Psalm 23 Walford Davies', 'Hymn 694'];
+const pageColumns = await pdfLines([...column(40, leftColumn), ...column(310, rightColumn), { text: 'Printed by the Song School', x: 5000000, y: 100 }]);
+assert.deepStrictEqual(texts(pageColumns), [...leftColumn, ...rightColumn]);
+assert.ok(pageColumns.every(line => line.composer === null));
+
+// Titles with a composer column: the composer gutter is not a page column
+const titled = [
+  { text: 'SUNDAY 7 SEPTEMBER TRINITY 12', x: 40, y: 760 },
+  { text: '1030 Sung Eucharist (Full Choir)', x: 40, y: 746 },
+  { text: 'Mass for Five Voices', x: 40, y: 732 }, { text: 'Byrd', x: 250, y: 732 },
+  { text: 'A Prayer of St Patrick', x: 40, y: 718 }, { text: 'Rutter', x: 250, y: 718 },
+  { text: 'Hymns 341, 300', x: 40, y: 704 },
+  { text: '1530 Choral Evensong (Visiting Choir)', x: 40, y: 690 },
+  { text: 'Responses', x: 40, y: 676 }, { text: 'Lloyd', x: 250, y: 676 },
+  { text: 'God be in my head', x: 40, y: 662 }, { text: 'Armstrong Gibbs', x: 250, y: 662 },
+  { text: 'Magnificat and Nunc Dimittis in G', x: 40, y: 648 }, { text: 'Stanford', x: 250, y: 648 }
+];
+const titledSplit = [
+  [null, null],
+  [null, null],
+  ['Mass for Five Voices', 'Byrd'],
+  ['A Prayer of St Patrick', 'Rutter'],
+  [null, null],
+  [null, null],
+  ['Responses', 'Lloyd'],
+  ['God be in my head', 'Armstrong Gibbs'],
+  ['Magnificat and Nunc Dimittis in G', 'Stanford']
+];
+const titledLines = await pdfLines(titled);
+assert.deepStrictEqual(titledLines.map(l => [l.title, l.composer]), titledSplit);
+assert.strictEqual(titledLines[2].text, 'Mass for Five Voices Byrd');
+
+// Both at once: each page column keeps its own composer column, and the page columns stay in order
+const bothLines = await pdfLines([
+  ...titled.map(run => (run.x === 250 ? { ...run, x: 215 } : run)),
+  ...titled.map(run => ({ ...run, x: run.x === 40 ? 320 : 500, y: run.y - 0.4 }))
+]);
+assert.deepStrictEqual(bothLines.map(l => [l.title, l.composer]), [...titledSplit, ...titledSplit]);
+assert.strictEqual(bothLines[9].text, 'SUNDAY 7 SEPTEMBER TRINITY 12');
+
+console.log('layout ok');
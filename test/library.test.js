@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import {
+  createFormatter,
+  dayServices,
+  discoverMusicLists,
+  nextService,
+  parseChoirFormations,
+  servicesInRange,
+  upcomingServices,
+  weekServices,
+  weeksAhead
+} from '../src/index.js';
+
+function service(date, time, title, choir) {
+  return {
+    date: new Date(`${date}T12:00:00.000Z`),
+    time,
+    service: title,
+    choir,
+    formations: parseChoirFormations(choir),
+    pieces: { settings: [], anthems: ['Ave verum corpus Byrd'], psalms: [], hymns: [], organ: [] }
+  };
+}
+
+const services = [
+  service('2025-09-07', '15:30', 'Choral Evensong', 'Songmen'),
+  service('2025-09-07', '10:30', 'Sung Eucharist', 'Boys and Songmen'),
+  service('2025-09-09', '17:30', 'Choral Evensong', 'Girls'),
+  service('2025-09-14', '10:30', 'Sung Eucharist', 'Full Choir'),
+  service('2025-09-15', '17:30', 'Choral Evensong', 'Songmen')
+];
+const at = (iso) => ({ now: new Date(iso), timeZone: 'Europe/London' });
+const times = (list) => list.map(s => `${s.date.toISOString().split('T')[0]} ${s.time}`);
+
+// Next: start order, 10-minute grace (10:30 BST = 09:30Z), choir filter
+assert.strictEqual(times([nextService(services, at('2025-09-07T09:39:00Z'))])[0], '2025-09-07 10:30');
+assert.strictEqual(times([nextService(services, at('2025-09-07T09:41:00Z'))])[0], '2025-09-07 15:30');
+assert.strictEqual(times([nextService(services, { ...at('2025-09-07T09:00:00Z'), choirs: ['girls'] })])[0], '2025-09-09 17:30');
+assert.strictEqual(nextService(services, at('2025-09-16T00:00:00Z')), null);
+assert.strictEqual(upcomingServices(services, at('2025-09-07T09:00:00Z')).length, 5);
+
+// Week: Monday to Sunday around now; Sunday 7th is the last day of its week
+assert.deepStrictEqual(times(weekServices(services, at('2025-09-07T09:00:00Z'))), ['2025-09-07 10:30', '2025-09-07 15:30']);
+assert.deepStrictEqual(times(weekServices(services, at('2025-09-08T09:00:00Z'))), ['2025-09-09 17:30', '2025-09-14 10:30']);
+assert.deepStrictEqual(times(weekServices(services, { ...at('2025-09-07T09:00:00Z'), weeks: 2 })), ['2025-09-15 17:30']);
+assert.deepStrictEqual([weeksAhead('2025-09-07', at('2025-09-07T09:00:00Z')), weeksAhead('2025-09-15', at('2025-09-07T09:00:00Z'))], [0, 2]);
+
+// Day: upcoming services on a local date
+assert.deepStrictEqual(times(dayServices(services, '2025-09-07', at('2025-09-07T12:00:00Z'))), ['2025-09-07 15:30']);
+
+// Range: past services included, bounds inclusive
+assert.deepStrictEqual(times(servicesInRange(services, { from: '2025-09-07', to: '2025-09-14', choirs: ['songmen'] })),
+  ['2025-09-07 10:30', '2025-09-07 15:30']);
+assert.strictEqual(servicesInRange(services).length, 5);
+
+// Formatters are usable without the server
+const formatter = createFormatter();
+assert.strictEqual(formatter.formatServiceHuman(services[2]), '2025-09-09 17:30  Choral Evensong\nChoir: Girls\nAnthems: Ave verum corpus — Byrd');
+assert.strictEqual(formatter.serviceJsonV2(services[1]).start, '2025-09-07T09:30:00.000Z');
+
+// Discovery: "to DD MONTH" links, latest first, relative links resolved, duplicates and non-http(s) links dropped
+const html = `
+  <a href="/wp-content/uploads/music-list-sep.pdf">Music list 31 August to 21 September</a>
+  <a href="https://cdn.example.org/music-list-oct.pdf">Music list 22 September to 12 October</a>
+  <a href="/wp-content/uploads/music-list-sep.pdf">Download 31 August to 21 September</a>
+  <a href="/wp-content/uploads/leaflet.pdf">Concert leaflet</a>
+  <a href="file:///etc/passwd.pdf">Music list 13 October to 2 November</a>
+  <a href="ftp://files.example.org/list.pdf">Music list 3 November to 23 November</a>`;
+const lists = discoverMusicLists(html, { now: new Date('2025-09-01T12:00:00Z') });
+assert.deepStrictEqual(lists.map(l => l.url), [
+  'https://cdn.example.org/music-list-oct.pdf',
+  'https://leicestercathedral.org/wp-content/uploads/music-list-sep.pdf'
+]);
+assert.strictEqual(lists[1].endDate.getFullYear(), 2025);
+assert.strictEqual(lists[1].endDate.getMonth(), 8);
+assert.deepStrictEqual(discoverMusicLists(''), []);
+
+console.log('library ok');
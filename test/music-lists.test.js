@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SONGMEN, createMusicLists, createSource } from '../src/index.js';
+import { minimalPdf } from './pdf-fixture.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+const list = anthem => minimalPdf([
+  'MUSIC LIST 7 September - 14 September 2025',
+  'SUNDAY 7 SEPTEMBER',
+  '1030 Sung Eucharist (Boys and Songmen)',
+  anthem,
+  '1530 Choral Evensong (Girls Choir)',
+  'Stanford in G Responses Radcliffe',
+  'SUNDAY 14 SEPTEMBER',
+  '1530 Choral Evensong (Songmen)',
+  'Faire is the heaven Harris'
+]);
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'music-lists-test-'));
+const pdf = path.join(dir, 'list.pdf');
+try {
+  await fs.writeFile(pdf, list('Ave verum corpus Byrd'));
+  const events = [];
+  let now = new Date('2025-09-06T09:00:00Z');
+  const york = createSource({ id: 'york', name: 'York Minster', url: 'https://example.org/york' });
+  const leicester = createSource({ id: 'leicester', name: 'Leicester Cathedral', url: 'https://example.org/leicester' });
+  const options = {
+    sources: [york],
+    localPdfPaths: [pdf],
+    dataDir: dir,
+    events: { emit: (event, data) => events.push({ event, data }) },
+    now: () => now,
+    log: quiet
+  };
+  const lists = createMusicLists(options);
+
+  // Refresh from the local PDF: merged, sorted and typed, with no announcement on the first load
+  await lists.refresh();
+  assert.strictEqual(lists.data().services.length, 3);
+  assert.strictEqual(lists.data().endDate.toISOString().slice(0, 10), '2025-09-14');
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(lists.unavailable(), false);
+
+  // Filters as the routes read them; selections take their result
+  const songmen = lists.parseFilters({}, SONGMEN);
+  assert.strictEqual(lists.next(songmen).service, 'Sung Eucharist');
+  assert.strictEqual(lists.next(lists.parseFilters({ choir: 'girls' }, SONGMEN)).service, 'Choral Evensong');
+  assert.match(lists.parseFilters({ choir: 'bogus' }, SONGMEN).error, /bogus/);
+  assert.match(lists.parseFilters({ source: 'leicester' }, null).error, /leicester/);
+  assert.strictEqual(lists.week(lists.parseFilters({}, null)).length, 2);
+  assert.strictEqual(lists.week(lists.parseFilters({}, null), 1).length, 1);
+  assert.strictEqual(lists.range('2025-09-01', '2025-09-30').length, 3);
+  assert.strictEqual(lists.findService(lists.formatter.serviceId(lists.next(songmen))), lists.next(songmen));
+
+  // Names, calendar and feed come from the configured source
+  assert.strictEqual(lists.sourceName(), 'York Minster');
+  assert.match(lists.calendar(songmen), /X-WR-CALNAME:York Minster Songmen/);
+  const feed = lists.feed(songmen, { baseUrl: 'http://phone.test', selfUrl: 'http://phone.test/songmen/feed.atom' });
+  assert.strictEqual(feed.title, 'York Minster Songmen');
+  assert.strictEqual(feed.entries[0].title, 'New music list: York Minster');
+  assert.ok(feed.entries.slice(1).every(entry => entry.link.startsWith('http://phone.test/html/service/')));
+  assert.strictEqual(feed.entries.length, 1 + 2);
+
+  // A re-uploaded list is recorded as a change and announced
+  await fs.writeFile(pdf, list('Ubi caritas Durufle'));
+  await lists.refresh();
+  assert.strictEqual(lists.changes().length, 1);
+  assert.deepStrictEqual(lists.changes('2099-01-01'), []);
+  assert.deepStrictEqual(events.map(entry => entry.event), ['services.changed']);
+  assert.strictEqual(lists.search({ q: 'Ubi caritas' }).results.length, 1);
+  assert.strictEqual(lists.search({}).error, 'Provide ?q=');
+  assert.strictEqual(lists.repertoire({ piece: 'Ubi' }).error, 'No repertoire archive configured');
+
+  // A failed refresh keeps the last good data, flagged as degraded
+  await fs.rm(pdf);
+  await lists.refresh();
+  assert.strictEqual(lists.data().services.length, 3);
+  assert.strictEqual(lists.data().degraded, true);
+  assert.match(lists.data().lastError, /does not exist/);
+  assert.deepStrictEqual(events.map(entry => entry.event), ['services.changed', 'refresh.failed']);
+
+  // A new object restores the snapshot; after the list's end date it is stale
+  now = new Date('2025-09-20T09:00:00Z');
+  const restored = createMusicLists({ ...options, sources: [york, leicester] });
+  await restored.restore();
+  assert.strictEqual(restored.data().services.length, 3);
+  assert.strictEqual(restored.unavailable(), true);
+  assert.strictEqual(restored.next(songmen), null);
+  assert.strictEqual(restored.staleMessage(), 'STALE: Music list ended 2025-09-14 — no newer list published.');
+  assert.strictEqual(restored.sourceName(['leicester']), 'Leicester Cathedral');
+} finally {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+console.log('music-lists ok');
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { applyServiceNotes, isBroadcastNote, splitServiceNotes } from '../src/notes.js';
+
+// Whole-line notes
+assert.deepStrictEqual(splitServiceNotes('Preacher: The Dean'), { text: '', notes: [{ kind: 'preacher', text: 'The Dean' }] });
+assert.deepStrictEqual(splitServiceNotes('Celebrant: The Bishop of Leicester').notes, [{ kind: 'officiant', text: 'The Bishop of Leicester' }]);
+assert.deepStrictEqual(splitServiceNotes('Sung by the visiting choir').notes, [{ kind: 'note', text: 'Sung by the visiting choir' }]);
+assert.deepStrictEqual(splitServiceNotes('(broadcast live on BBC Radio 3)'), { text: '', notes: [{ kind: 'note', text: 'broadcast live on BBC Radio 3' }] });
+
+// Notes after music on the same line, several to a line
+assert.deepStrictEqual(splitServiceNotes('Stanford in G Preacher: The Dean; followed by Benediction'), {
+  text: 'Stanford in G',
+  notes: [{ kind: 'preacher', text: 'The Dean' }, { kind: 'note', text: 'followed by Benediction' }]
+});
+assert.deepStrictEqual(splitServiceNotes('Darke in F – live-streamed'), { text: 'Darke in F', notes: [{ kind: 'note', text: 'live-streamed' }] });
+
+// Music is left alone
+assert.deepStrictEqual(splitServiceNotes('Ave verum corpus Byrd'), { text: 'Ave verum corpus Byrd', notes: [] });
+assert.deepStrictEqual(splitServiceNotes('(Full Choir)'), { text: '(Full Choir)', notes: [] });
+
+assert.ok(isBroadcastNote('Broadcast live on BBC Radio 3'));
+assert.ok(isBroadcastNote('live-streamed'));
+assert.ok(!isBroadcastNote('followed by Benediction'));
+
+// First preacher and officiant win; notes accumulate and set the broadcast flag
+const service = { preacher: null, officiant: null, notes: [], broadcast: false };
+applyServiceNotes(service, splitServiceNotes('Preacher: The Dean').notes);
+applyServiceNotes(service, splitServiceNotes('Preacher: Canon Precentor; broadcast live').notes);
+assert.deepStrictEqual(service, { preacher: 'The Dean', officiant: null, notes: ['broadcast live'], broadcast: true });
+
+console.log('notes ok');
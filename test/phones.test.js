@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { truncateText, wrapText } from '../src/cisco.js';
+import { PHONE_FAMILIES, detectPhoneFamily } from '../src/phones.js';
+import { startServer } from './server-fixture.js';
+
+// Family from the User-Agent; anything else is left to the caller
+assert.strictEqual(detectPhoneFamily('Yealink SIP-T46S 66.86.0.15'), 'yealink');
+assert.strictEqual(detectPhoneFamily('FileTransport PolycomVVX-VVX_400-UA/5.9.0.9373'), 'polycom');
+assert.strictEqual(detectPhoneFamily('Grandstream GXP2170 1.0.11.6'), null);
+assert.strictEqual(detectPhoneFamily('Allegro-Software-WebClient/4.34'), 'cisco');
+assert.strictEqual(detectPhoneFamily('Mozilla/5.0 (X11; Linux x86_64)'), null);
+assert.strictEqual(detectPhoneFamily(undefined), null);
+
+// Widths other than the 79xx's 32
+assert.strictEqual(truncateText('Magnificat and Nunc Dimittis in G minor', 20), 'Magnificat and Nu...');
+assert.deepStrictEqual(wrapText('Magnificat and Nunc Dimittis in G minor – Stanford', 40, ' '), ['Magnificat and Nunc Dimittis in G minor', ' - Stanford']);
+
+const screen = { title: 'Next Boys and Girls and Songmen Service', prompt: 'Page 1/2', text: 'Choir: Boys & Songmen\nAnthems:', softKeys: [{ name: 'More', url: 'http://x/yealink/service/1?choir=all&page=1' }] };
+
+// Yealink: TextScreen/TextMenu, indexed softkeys, no prompt
+let xml = PHONE_FAMILIES.yealink.text(screen);
+assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<YealinkIPPhoneTextScreen destroyOnExit="yes" Beep="no">/);
+assert.match(xml, /<Title>Next Boys and Girls and Songmen S\.\.\.<\/Title>/);
+assert.match(xml, /<Text>Choir: Boys &amp; Songmen\nAnthems:<\/Text>/);
+assert.match(xml, /<SoftKey index="1">\n<Label>More<\/Label>\n<URI>http:\/\/x\/yealink\/service\/1\?choir=all&amp;page=1<\/URI>\n<\/SoftKey>/);
+assert.ok(!xml.includes('Page 1/2'));
+xml = PHONE_FAMILIES.yealink.menu({ ...screen, items: [{ name: 'Sun 7 15:30 Choral Evensong', url: 'http://x/yealink/service/1' }] });
+assert.match(xml, /<YealinkIPPhoneTextMenu style="numbered" destroyOnExit="yes">[\s\S]*<MenuItem>\n<Prompt>Sun 7 15:30 Choral Evensong<\/Prompt>\n<URI>http:\/\/x\/yealink\/service\/1<\/URI>\n<\/MenuItem>/);
+
+// Polycom: XHTML with line breaks, softkeys as links, prompt last
+xml = PHONE_FAMILIES.polycom.text(screen);
+assert.match(xml, /<html xmlns="http:\/\/www.w3.org\/1999\/xhtml">\n<head><title>Next Boys and Girls and Songmen Service<\/title><\/head>/);
+assert.match(xml, /<p>Choir: Boys &amp; Songmen<br\/>\nAnthems:<\/p>\n<p><a href="http:\/\/x\/yealink\/service\/1\?choir=all&amp;page=1">More<\/a><\/p>\n<p>Page 1\/2<\/p>\n<\/body>/);
+
+// Every family's menus stop adding items before its size limit
+const items = Array.from({ length: 400 }, (_, i) => ({ name: `Sun 7 15:30 Choral Evensong ${i}`, url: `http://phone.example/phone/service/${String(i).padStart(16, '0')}` }));
+for (const phone of Object.values(PHONE_FAMILIES)) {
+  const menu = phone.menu({ title: 'This Week - Songmen', prompt: 'Songmen', items, softKeys: [{ name: 'Back', url: 'http://phone.example/phone/menu' }] });
+  assert.ok(Buffer.byteLength(menu) <= phone.maxBytes, phone.id);
+  assert.ok(menu.includes('http://phone.example/phone/menu'), phone.id);
+  assert.ok(phone.lineLength >= 30 && phone.pageLines > 0 && phone.menuItems > 0, phone.id);
+}
+
+// Routes: each family's prefix renders its own markup; /phone picks one from the User-Agent
+const server = await startServer();
+try {
+  const get = (url, userAgent) => server.fastify.inject({ url, headers: { host: 'phone.test', ...(userAgent ? { 'user-agent': userAgent } : {}) } });
+
+  let response = await get('/yealink/menu');
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'text/xml; charset=US-ASCII');
+  assert.strictEqual(response.headers.vary, undefined);
+  assert.match(response.body, /<YealinkIPPhoneTextMenu [^>]+>\n<Title>Leicester Cathedral Songmen<\/Title>\n<MenuItem>\n<Prompt>Next<\/Prompt>\n<URI>http:\/\/phone.test\/yealink\/next<\/URI>/);
+  response = await get('/polycom/week?week=1');
+  assert.strictEqual(response.headers['content-type'], 'application/xhtml+xml; charset=US-ASCII');
+  assert.match(response.body, /<head><title>Week of Mon 8 Sep<\/title><\/head>/);
+  assert.match(response.body, /<a href="http:\/\/phone.test\/polycom\/service\/[0-9a-f]+">Wed 10 17:30 Choral Evensong<\/a><br\/>/);
+  // Polycom has no Select or Exit softkeys of its own to link
+  assert.match(response.body, /<p><a href="http:\/\/phone.test\/polycom\/week">PrevWk<\/a><\/p>\n<p>Songmen<\/p>\n<\/body>/);
+  // A bad ?choir= is an error screen the phone can show, not a 400
+  response = await get('/polycom/next?choir=altos');
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.body, /<p>Unknown choir: altos/);
+
+  for (const [userAgent, contentType, root] of [
+    ['Yealink SIP-T46S 66.86.0.15', 'text/xml; charset=US-ASCII', '<YealinkIPPhoneTextMenu'],
+    ['PolycomVVX-VVX_400-UA/5.9.0', 'application/xhtml+xml; charset=US-ASCII', '<html'],
+    ['Allegro-Software-WebClient/4.34', 'text/xml; charset=US-ASCII', '<CiscoIPPhoneMenu>'],
+    ['curl/8.5.0', 'text/xml; charset=US-ASCII', '<CiscoIPPhoneMenu>'],
+    [null, 'text/xml; charset=US-ASCII', '<CiscoIPPhoneMenu>']
+  ]) {
+    response = await get('/phone/week', userAgent);
+    assert.strictEqual(response.statusCode, 200, userAgent);
+    assert.strictEqual(response.headers['content-type'], contentType, userAgent);
+    assert.strictEqual(response.headers.vary, 'User-Agent', userAgent);
+    assert.ok(response.body.includes(root), userAgent);
+    assert.ok(response.body.includes('http://phone.test/phone/service/'), userAgent);
+  }
+  response = await get('/phone/next', 'Yealink SIP-T46S');
+  assert.match(response.body, /<YealinkIPPhoneTextScreen [^>]+>\n<Title>Next Songmen Service<\/Title>\n<Text>Sun 7 Sep 10:30\n/);
+  assert.match(response.body, /<Label>Back<\/Label>\n<URI>http:\/\/phone.test\/phone\/week<\/URI>/);
+  response = await get('/phone/service/0000000000000000', 'PolycomVVX');
+  assert.match(response.body, /Service not found. The music list may have changed./);
+  response = await get('/phone/menu?choir=full', 'Yealink');
+  assert.match(response.body, /<Title>Leicester Cathedral Full Choir<\/Title>/);
+  assert.match(response.body, /<URI>http:\/\/phone.test\/phone\/week\?choir=full&amp;week=1<\/URI>/);
+} finally {
+  await server.close();
+}
+
+console.log('phones ok');
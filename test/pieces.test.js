@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { parsePiece } from '../src/pieces.js';
+
+function check(text, expected) {
+  const piece = parsePiece(text, { category: 'anthems' });
+  for (const [field, value] of Object.entries(expected)) {
+    assert.strictEqual(piece[field], value, `${text}: ${field} = ${piece[field]}`);
+  }
+}
+
+check('Mag and Nunc in D minor — Walmisley', { title: 'Mag and Nunc in D minor', composer: 'Walmisley', key: 'D minor' });
+check('Angelus ad virginem — arr. Willcocks', { title: 'Angelus ad virginem', composer: null, arranger: 'Willcocks' });
+check('Deep river — Trad. African American', { composer: null, attribution: 'Trad. African American' });
+check('O come, all ye faithful — Trad. arr. Willcocks', { attribution: 'Trad.', arranger: 'Willcocks' });
+check('Prelude and Fugue in G BWV 541 — Bach', { composer: 'Bach', key: 'G', catalogue: 'BWV 541' });
+check('Fantasia Op. 17 no. 3 — Howells', { catalogue: 'Op. 17 no. 3' });
+check('Service in B-flat — Stanford', { key: 'B flat' });
+check('God be in my head — Walford Davies', { composer: 'Walford Davies', key: null });
+
+const raw = parsePiece('Mass in E — Wood', { category: 'settings', source: 'Wood in E' });
+assert.strictEqual(raw.source, 'Wood in E');
+assert.strictEqual(raw.text, 'Mass in E — Wood');
+assert.strictEqual(raw.category, 'settings');
+
+console.log('pieces ok');
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { formatPsalm, parsePsalms, psalmComposers, psalmLabel } from '../src/psalms.js';
+
+function whole(number, composer) {
+  return { number, ranges: [{ from: null, to: null, composer }] };
+}
+
+assert.deepStrictEqual(parsePsalms('Crux fidelis'), []);
+
+// Multi-psalm form
+assert.deepStrictEqual(parsePsalms('Psalms 110 Garrett , 150 Stanford'), [whole(110, 'Garrett'), whole(150, 'Stanford')]);
+
+// Verse ranges split across chants
+const split = parsePsalms('Psalm 119.33 – 40 Goss , 89 – 96 Bairstow');
+assert.deepStrictEqual(split, [{
+  number: 119,
+  ranges: [{ from: 33, to: 40, composer: 'Goss' }, { from: 89, to: 96, composer: 'Bairstow' }]
+}]);
+assert.strictEqual(formatPsalm(split[0]), 'Psalm 119.33–40 (Goss), 89–96 (Bairstow)');
+assert.strictEqual(psalmLabel(split[0]), 'Psalm 119.33–40, 89–96');
+assert.deepStrictEqual(psalmComposers(split[0]), ['Goss', 'Bairstow']);
+
+// Several ranges on one chant; earlier ranges take the next named chant
+const shared = parsePsalms('Psalm 78.1-8, 23-29 Walford Davies');
+assert.deepStrictEqual(shared[0].ranges.map(r => r.composer), ['Walford Davies', 'Walford Davies']);
+assert.strictEqual(formatPsalm(shared[0]), 'Psalm 78.1–8, 23–29 — Walford Davies');
+assert.deepStrictEqual(parsePsalms('Psalms 42, 43 Goss'), [whole(42, 'Goss'), whole(43, 'Goss')]);
+
+// A bare range on its own is a run of whole psalms
+assert.deepStrictEqual(parsePsalms('Psalms 120 – 122 Turle').map(p => p.number), [120, 121, 122]);
+
+// Single verse and colon separators
+assert.strictEqual(formatPsalm(parsePsalms('Psalm 23:4 Goss')[0]), 'Psalm 23.4 — Goss');
+assert.strictEqual(formatPsalm(parsePsalms('Psalm 150')[0]), 'Psalm 150');
+
+// Formatted text parses back to the same structure
+for (const text of ['Psalm 110 — Garrett', 'Psalm 119.33–40 (Goss), 89–96 (Bairstow)', 'Psalm 78.1–8, 23–29 — Walford Davies']) {
+  const [psalm] = parsePsalms(text);
+  assert.strictEqual(formatPsalm(psalm), text);
+}
+
+console.log('psalms ok');
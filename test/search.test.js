@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { parseSearchQuery, searchServices } from '../src/search.js';
+import { startServer } from './server-fixture.js';
+
+function entry(date, time, service, choir, pieces = {}) {
+  return { date, time, service, choir, pieces: { settings: [], anthems: [], psalms: [], hymns: [], organ: [], ...pieces } };
+}
+
+const entries = [
+  entry('2025-09-14', '15:30', 'Choral Evensong', 'Songmen', { settings: ['Collegium Regale — Howells'], hymns: ['Hymns 123, 456'] }),
+  entry('2025-08-31', '15:30', 'Choral Evensong', 'Senior Girls and Songmen', { anthems: ['Cantique de Jean Racine — Fauré'] }),
+  entry('2025-09-07', '10:30', 'Sung Eucharist', 'Boys and Songmen', { anthems: ['Like as the hart — Howells'], hymns: ['Hymn 12'] })
+];
+
+assert.deepStrictEqual(parseSearchQuery('  Howells "Collegium Regale" '), ['howells', 'collegium regale']);
+assert.deepStrictEqual(searchServices(entries, { q: '   ' }), []);
+
+// Accents are folded and results come back in date order
+const faure = searchServices(entries, { q: 'Faure' });
+assert.strictEqual(faure.length, 1);
+assert.deepStrictEqual(faure[0].matches, [{ field: 'anthems', text: 'Cantique de Jean Racine — Fauré' }]);
+
+const howells = searchServices(entries, { q: 'howells' });
+assert.deepStrictEqual(howells.map(r => r.date), ['2025-09-07', '2025-09-14']);
+
+// All terms must match; service titles and choirs count
+assert.strictEqual(searchServices(entries, { q: 'howells evensong' }).length, 1);
+assert.strictEqual(searchServices(entries, { q: 'girls' })[0].date, '2025-08-31');
+
+// Hymn numbers match whole numbers only
+assert.deepStrictEqual(searchServices(entries, { q: '12' }).map(r => r.date), ['2025-09-07']);
+assert.deepStrictEqual(searchServices(entries, { q: '123' }).map(r => r.date), ['2025-09-14']);
+
+// Filters
+assert.deepStrictEqual(searchServices(entries, { q: 'howells', category: 'settings' }).map(r => r.date), ['2025-09-14']);
+assert.strictEqual(searchServices(entries, { q: 'evensong', category: 'anthems' }).length, 0);
+assert.deepStrictEqual(searchServices(entries, { q: 'howells', from: '2025-09-08' }).map(r => r.date), ['2025-09-14']);
+assert.deepStrictEqual(searchServices(entries, { q: 'songmen', to: '2025-09-01' }).map(r => r.date), ['2025-08-31']);
+
+// Routes: every loaded service is searched, even once the list has expired
+const server = await startServer(undefined, { MOCK_DATE: '2025-10-01T09:00' });
+try {
+  let response = await server.fastify.inject({ url: '/search?q=harris' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'text/plain; charset=utf-8');
+  assert.strictEqual(response.headers['x-stale'], 'true');
+  assert.strictEqual(response.body, [
+    '1 service(s) matching "harris"',
+    '',
+    '2025-09-10 17:30  Choral Evensong  |  Songmen',
+    '  anthems: Faire is the heaven — Harris'
+  ].join('\n'));
+  response = await server.fastify.inject({ url: '/search?q=%22central%20orb%22' });
+  assert.match(response.body, /^1 service\(s\) matching ""central orb""/);
+  response = await server.fastify.inject({ url: '/search?q=miserere' });
+  assert.strictEqual(response.body, 'No services match "miserere".');
+
+  response = await server.fastify.inject({ url: '/json/search?q=evensong&from=2025-09-08&choir=songmen,full' });
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.headers['content-type'], 'application/json; charset=utf-8');
+  let body = response.json();
+  assert.deepStrictEqual(body.query, { q: 'evensong', from: '2025-09-08', to: null, category: null });
+  assert.strictEqual(body.count, 2);
+  assert.deepStrictEqual(body.services.map(result => [result.date, result.choir]), [['2025-09-10', 'Songmen'], ['2025-09-14', 'Full Choir']]);
+  assert.deepStrictEqual(body.services[0].matches, [{ field: 'service', text: 'Choral Evensong' }]);
+
+  response = await server.fastify.inject({ url: '/json/search?q=23&category=PSALMS&to=2025-09-07' });
+  body = response.json();
+  assert.strictEqual(body.query.category, 'psalms');
+  assert.deepStrictEqual(body.services.map(result => result.matches[0].field), ['psalms']);
+
+  // Missing query, bad dates, unknown categories and filters are 400s
+  for (const [url, error] of [
+    ['/json/search', 'Provide ?q='],
+    ['/json/search?q=%20', 'Provide ?q='],
+    ['/json/search?q=x&from=7%20Sept', 'Invalid date: 7 Sept (use YYYY-MM-DD)'],
+    ['/json/search?q=x&category=motets', 'Unknown category: motets (use settings, anthems, psalms, hymns, organ)'],
+    ['/json/search?q=x&choir=altos', 'Unknown choir: altos. Use one of: all, boys, girls, songmen, full, visiting, said']
+  ]) {
+    response = await server.fastify.inject({ url });
+    assert.strictEqual(response.statusCode, 400, url);
+    assert.deepStrictEqual(response.json(), { error });
+  }
+  response = await server.fastify.inject({ url: '/search?q=x&to=tomorrow' });
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(response.body, 'Invalid date: tomorrow (use YYYY-MM-DD)');
+} finally {
+  await server.close();
+}
+
+console.log('search ok');
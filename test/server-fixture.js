@@ -0,0 +1,59 @@
+// The HTTP server loaded from one local music list PDF, for fastify.inject route tests. server.js
+// reads the environment when imported, so each test file starts at most one.
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { minimalPdf } from './pdf-fixture.js';
+
+export const MUSIC_LIST = [
+  'MUSIC LIST 7 September - 14 September 2025',
+  'SUNDAY 7 SEPTEMBER',
+  '1030 Sung Eucharist (Boys and Songmen)',
+  'Ave verum corpus Byrd',
+  'Hymns 341, 300',
+  '1530 Choral Evensong (Girls Choir)',
+  'Stanford in G Responses Radcliffe',
+  'Psalm 23 Walford Davies',
+  'WEDNESDAY 10 SEPTEMBER',
+  '1730 Choral Evensong (Songmen)',
+  'Faire is the heaven Harris',
+  'SUNDAY 14 SEPTEMBER',
+  '1530 Choral Evensong (Full Choir)',
+  'Howells Collegium Regale',
+  'O thou the central orb Wood'
+];
+
+// Progress logs and warnings are dropped; errors still print
+async function quietly(task) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await task();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+// env is applied over DATA_DIR, MUSIC_LIST_PDF_PATH and MOCK_DATE (the Saturday before the list);
+// writeList(lines) replaces the PDF for the next refresh()
+export async function startServer(lines = MUSIC_LIST, env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-'));
+  const pdf = path.join(dir, 'list.pdf');
+  const writeList = next => fs.writeFile(pdf, minimalPdf(next));
+  await writeList(lines);
+  Object.assign(process.env, { DATA_DIR: dir, MUSIC_LIST_PDF_PATH: pdf, MOCK_DATE: '2025-09-06T09:00', ...env });
+
+  const { fastify, load, refresh } = await import('../src/server.js');
+  await quietly(load);
+  await quietly(refresh);
+  return {
+    fastify,
+    refresh: () => quietly(refresh),
+    writeList,
+    dir,
+    async close() {
+      await fastify.close();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import {
+  compileServiceTypes,
+  defaultServiceTypes,
+  matchesServiceTypes,
+  parseServiceTypeQuery,
+  serviceTypeOf
+} from '../src/service-types.js';
+import { matchServiceLine } from '../src/parser.js';
+
+const vocabulary = defaultServiceTypes();
+
+// Bundled vocabulary: specific types win over general ones
+assert.strictEqual(serviceTypeOf('Choral Evensong', vocabulary), 'evensong');
+assert.strictEqual(serviceTypeOf('Sung Eucharist', vocabulary), 'eucharist');
+assert.strictEqual(serviceTypeOf('Requiem Eucharist for All Souls', vocabulary), 'requiem');
+assert.strictEqual(serviceTypeOf('Advent Procession with Carols', vocabulary), 'procession');
+assert.strictEqual(serviceTypeOf('Service of Nine Lessons and Carols', vocabulary), 'carols');
+assert.strictEqual(serviceTypeOf('Festal Mattins', vocabulary), 'mattins');
+assert.strictEqual(serviceTypeOf('Sung Vespers', vocabulary), 'vespers');
+assert.strictEqual(serviceTypeOf('Choral Compline', vocabulary), 'compline');
+assert.strictEqual(serviceTypeOf('Civic Service for the Lord Mayor', vocabulary), 'civic');
+assert.strictEqual(serviceTypeOf('Ave verum corpus', vocabulary), null);
+// Whole words only: "Massey" is not a Mass
+assert.strictEqual(serviceTypeOf('Massey Lecture', vocabulary), null);
+
+// Custom vocabulary in file order; "other" is always a valid type
+const custom = compileServiceTypes({ types: { 'said-eucharist': ['Said Eucharist'], eucharist: ['Eucharist'] } });
+assert.strictEqual(serviceTypeOf('Said  Eucharist', custom), 'said-eucharist');
+assert.deepStrictEqual(custom.names, ['said-eucharist', 'eucharist', 'other']);
+
+assert.deepStrictEqual(parseServiceTypeQuery('Evensong, compline', vocabulary), { types: ['evensong', 'compline'] });
+assert.deepStrictEqual(parseServiceTypeQuery('all', vocabulary), { types: null });
+assert.deepStrictEqual(parseServiceTypeQuery(undefined, vocabulary), { types: null });
+assert.match(parseServiceTypeQuery('evensong,picnic', vocabulary).error, /Unknown service type: picnic/);
+assert.ok(matchesServiceTypes({ serviceType: 'evensong' }, ['evensong']));
+assert.ok(!matchesServiceTypes({ serviceType: 'eucharist' }, ['evensong']));
+assert.ok(matchesServiceTypes({}, ['other']));
+
+// Service lines: a clock time plus a known type or a choir in parentheses
+const compline = matchServiceLine('2100 Choral Compline', vocabulary);
+assert.deepStrictEqual([compline.time, compline.serviceTitle, compline.serviceType], ['21:00', 'Choral Compline', 'compline']);
+const carols = matchServiceLine('6.30pm Advent Procession (Full Choir) Matin responsory Palestrina', vocabulary);
+assert.deepStrictEqual([carols.time, carols.serviceTitle, carols.choirMatch[1]], ['18:30', 'Advent Procession', 'Full Choir']);
+assert.strictEqual(matchServiceLine('1100 Act of Dedication (Songmen)', vocabulary).serviceType, 'other');
+assert.strictEqual(matchServiceLine('1100 Ave verum corpus Byrd', vocabulary), null);
+assert.strictEqual(matchServiceLine('31 August – 21 September 2025', vocabulary), null);
+assert.strictEqual(matchServiceLine('7 September Service Sheet', vocabulary), null);
+assert.strictEqual(matchServiceLine('2575 Evensong (Songmen)', vocabulary), null);
+
+console.log('service-types ok');
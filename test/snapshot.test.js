@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadSnapshot, saveSnapshot } from '../src/snapshot.js';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-test-'));
+try {
+  assert.strictEqual(await loadSnapshot(dir), null);
+
+  await saveSnapshot(dir, {
+    sourceUrl: 'https://example.org/music-list/',
+    pdfUrls: ['https://example.org/list.pdf'],
+    endDate: new Date('2025-09-21T12:00:00Z'),
+    lastFetch: new Date('2025-09-01T08:00:00Z'),
+    revisions: { 'abc@cathedral-music-parser': { hash: 'x', sequence: 2, lastModified: '2025-09-01T08:00:00.000Z' } },
+    services: [{ date: new Date('2025-08-31T12:00:00Z'), time: '15:30', service: 'Choral Evensong', choir: 'Songmen', formations: ['songmen'] }]
+  });
+
+  const files = await fs.readdir(dir);
+  assert.deepStrictEqual(files, ['snapshot.json'], 'temp file left behind');
+
+  const loaded = await loadSnapshot(dir);
+  assert.ok(loaded.endDate instanceof Date);
+  assert.strictEqual(loaded.endDate.toISOString(), '2025-09-21T12:00:00.000Z');
+  assert.strictEqual(loaded.lastFetch.toISOString(), '2025-09-01T08:00:00.000Z');
+  assert.ok(loaded.services[0].date instanceof Date);
+  assert.strictEqual(loaded.services[0].time, '15:30');
+  assert.strictEqual(loaded.revisions['abc@cathedral-music-parser'].sequence, 2);
+  assert.deepStrictEqual(loaded.publications, []);
+
+  // Snapshots from before publications were recorded date their PDFs by the last fetch
+  const saved = JSON.parse(await fs.readFile(path.join(dir, 'snapshot.json'), 'utf8'));
+  delete saved.publications;
+  await fs.writeFile(path.join(dir, 'snapshot.json'), JSON.stringify(saved));
+  assert.deepStrictEqual((await loadSnapshot(dir)).publications,
+    [{ url: 'https://example.org/list.pdf', sourceId: null, discoveredAt: '2025-09-01T08:00:00.000Z' }]);
+} finally {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+console.log('snapshot ok');
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  compileSources,
+  createSource,
+  defaultSources,
+  matchesSources,
+  parseSourceQuery
+} from '../src/sources.js';
+import { DEFAULT_MUSIC_LIST_URL } from '../src/discovery.js';
+import { minimalPdf } from './pdf-fixture.js';
+import { startServer } from './server-fixture.js';
+
+// Bundled configuration: Leicester only, page URL from the environment default
+const [leicester] = defaultSources();
+assert.deepStrictEqual([leicester.id, leicester.adapter, leicester.name, leicester.url, leicester.maxPdfs],
+  ['leicester', 'leicester', 'Leicester Cathedral', DEFAULT_MUSIC_LIST_URL, 3]);
+assert.strictEqual(defaultSources({ musicListUrl: 'https://example.org/music', maxPdfs: 1 })[0].url, 'https://example.org/music');
+
+// Configuration errors name the source
+assert.throws(() => compileSources({ sources: [] }), /No sources configured/);
+assert.throws(() => createSource({ id: 'York Minster' }), /Invalid source id/);
+assert.throws(() => createSource({ id: 'york', adapter: 'carrier-pigeon' }), /Unknown adapter "carrier-pigeon"/);
+assert.throws(() => createSource({ id: 'york', adapter: 'pdf-list', link_pattern: 'to (?<day>\\d+)' }), /"york": url is required/);
+assert.throws(() => createSource({ id: 'york', adapter: 'pdf-list', url: 'https://example.org', link_pattern: 'to (?<day>\\d+)' }), /link_pattern needs named groups month/);
+assert.throws(() => createSource({ id: 'york', adapter: 'pdf-list', url: 'https://example.org', link_pattern: 'to (' }), /invalid link_pattern/);
+assert.throws(() => compileSources({ sources: [{ id: 'leicester' }, { id: 'leicester' }] }), /Duplicate source id: leicester/);
+
+// A second foundation from local fixtures: its own link text and "Sunday 7th September" day headers
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sources-test-'));
+try {
+  await fs.writeFile(path.join(dir, 'august.pdf'), minimalPdf([
+    'Music at the Minster 10th August - 31st August 2025',
+    'Sunday 31st August',
+    '1600 Choral Evensong (Full Choir)',
+    'Walmisley in D minor'
+  ]), 'latin1');
+  await fs.writeFile(path.join(dir, 'september.pdf'), minimalPdf([
+    'Music at the Minster 7th September - 28th September 2025',
+    'Sunday 7th September Trinity 11',
+    '1600 Choral Evensong (Full Choir)',
+    'Stanford in C',
+    'Monday 8th Sept',
+    '1730 Evensong (Lay Clerks)',
+    'If ye love me Tallis'
+  ]), 'latin1');
+  // The page is read from disk because it is the configured URL; links on it must be http(s), so the
+  // relative and file: links (which resolve to local files) are dropped
+  await fs.writeFile(path.join(dir, 'index.html'), `
+    <ul>
+      <li><a href="https://minster.example/music/august.pdf">Music list: week ending 31st August</a></li>
+      <li><a href="https://minster.example/music/september.pdf">Music list: week ending 28th September</a></li>
+      <li><a href="https://minster.example/music/leaflet.pdf">Visitor leaflet</a></li>
+      <li><a href="september.pdf">Music list: week ending 5th October</a></li>
+      <li><a href="file:///etc/passwd.pdf">Music list: week ending 12th October</a></li>
+    </ul>`);
+
+  const [primary, york] = compileSources({
+    sources: [
+      { id: 'leicester' },
+      {
+        id: 'york',
+        adapter: 'pdf-list',
+        name: 'York Minster',
+        url: pathToFileURL(path.join(dir, 'index.html')).href,
+        max_pdfs: 1,
+        link_pattern: 'week ending (?<day>\\d{1,2})(?:st|nd|rd|th)? (?<month>\\w+)',
+        day_header: '^(?<weekday>\\w+day)\\s+(?<day>\\d{1,2})(?:st|nd|rd|th)?\\s+(?<month>[a-z]+)'
+      }
+    ]
+  });
+  assert.strictEqual(primary.id, 'leicester');
+  assert.deepStrictEqual([york.name, york.location, york.maxPdfs], ['York Minster', 'York Minster', 1]);
+
+  // Discovery uses the source's link pattern; non-matching links are ignored
+  const discovered = await york.discover({ now: new Date('2025-09-01T12:00:00Z') });
+  assert.deepStrictEqual(discovered.map(entry => entry.url), ['https://minster.example/music/september.pdf', 'https://minster.example/music/august.pdf']);
+  assert.strictEqual(discovered[0].endDate.toISOString().split('T')[0], '2025-09-28');
+
+  // Parsing uses the source's day headers and tags every service
+  const parsed = await york.parse(await fs.readFile(path.join(dir, 'september.pdf')), { now: new Date('2025-09-01T12:00:00Z') });
+  assert.deepStrictEqual(parsed.services.map(s => [s.date.toISOString().split('T')[0], s.time, s.service, s.sourceId]), [
+    ['2025-09-07', '16:00', 'Choral Evensong', 'york'],
+    ['2025-09-08', '17:30', 'Evensong', 'york']
+  ]);
+  assert.strictEqual(parsed.services[0].liturgicalDay, 'Trinity 11');
+  assert.deepStrictEqual(parsed.warnings, []);
+  assert.strictEqual(parsed.endDate.toISOString().split('T')[0], '2025-09-28');
+
+  // Non-Leicester headers ("Sun. 7 September"): a piece that starts with a weekday is kept, and the
+  // source's own weekday_line, not the Leicester one, says which lines are skipped
+  await fs.writeFile(path.join(dir, 'ely.pdf'), minimalPdf([
+    'Music at Ely 1st September - 30th September 2025',
+    'Sun. 7 September',
+    '1600 Choral Evensong (Full Choir)',
+    'Monday Carol - Traditional',
+    'Tue. No choral services',
+    'Wed. 10 September',
+    '1730 Evensong (Lay Clerks)',
+    'If ye love me Tallis'
+  ]), 'latin1');
+  const ely = createSource({
+    id: 'ely',
+    adapter: 'pdf-list',
+    url: pathToFileURL(path.join(dir, 'index.html')).href,
+    link_pattern: 'week ending (?<day>\\d{1,2})(?:st|nd|rd|th)? (?<month>\\w+)',
+    day_header: '^(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)\\.\\s+(?<day>\\d{1,2})\\s+(?<month>[a-z]+)',
+    weekday_line: '^(?:Sun|Mon|Tue|Wed|Thu|Fri|Sat)\\.'
+  });
+  const elyParsed = await ely.parse(await fs.readFile(path.join(dir, 'ely.pdf')), { now: new Date('2025-09-01T12:00:00Z') });
+  assert.deepStrictEqual(elyParsed.services.map(s => [s.date.toISOString().split('T')[0], s.time, s.rawLines]), [
+    ['2025-09-07', '16:00', ['Monday Carol - Traditional']],
+    ['2025-09-10', '17:30', ['If ye love me Tallis']]
+  ]);
+  assert.throws(() => createSource({ id: 'ely', weekday_line: '(' }), /"ely": invalid weekday_line/);
+
+  // PDF URLs are never read from disk, whoever supplies them
+  await assert.rejects(york.fetch(pathToFileURL(path.join(dir, 'september.pdf')).href), /Refusing to read a local file/);
+
+  // ?source= filters
+  const sources = [primary, york];
+  assert.deepStrictEqual(parseSourceQuery('York', sources), { sources: ['york'] });
+  assert.deepStrictEqual(parseSourceQuery('all', sources), { sources: null });
+  assert.deepStrictEqual(parseSourceQuery(undefined, sources), { sources: null });
+  assert.strictEqual(parseSourceQuery('york,ely', sources).error, 'Unknown source: ely. Use one of: all, leicester, york');
+  assert.ok(matchesSources(parsed.services[0], ['york']));
+  assert.ok(!matchesSources(parsed.services[0], ['leicester']));
+  assert.ok(matchesSources(parsed.services[0], null));
+
+  // Routes: titles, the calendar and the startup configuration follow the configured primary source
+  const sourcesPath = path.join(dir, 'sources.json');
+  await fs.writeFile(sourcesPath, JSON.stringify({
+    sources: [{ id: 'york', adapter: 'leicester', name: 'York Minster', location: 'York Minster, Deangate', url: 'https://example.org/york/' }]
+  }));
+  const server = await startServer(undefined, { SOURCES_PATH: sourcesPath });
+  try {
+    const get = url => server.fastify.inject({ url, headers: { host: 'phone.test' } });
+    let response = await get('/songmen/calendar.ics');
+    assert.match(response.body, /\r\nX-WR-CALNAME:York Minster Songmen\r\n/);
+    assert.match(response.body, /\r\nLOCATION:York Minster\\, Deangate\r\n/);
+    assert.ok(!response.body.includes('Leicester'));
+    response = await get('/cisco/text');
+    assert.match(response.body, /<Title>York Minster Songmen<\/Title>/);
+    response = await get('/cisco/menu?choir=girls');
+    assert.match(response.body, /<Title>York Minster Girls<\/Title>/);
+    response = await get('/phone/menu');
+    assert.match(response.body, /<Title>York Minster Songmen<\/Title>/);
+    response = await get('/songmen/feed.atom');
+    assert.match(response.body, /<title>York Minster Songmen<\/title>/);
+    assert.match(response.body, /<title>New music list: York Minster<\/title>/);
+    response = await get('/html');
+    assert.match(response.body, /<title>Upcoming services — York Minster<\/title>/);
+    response = await get('/status');
+    assert.match(response.body, /^source_york: York Minster, 4 services, end 2025-09-14, https:\/\/example.org\/york\/$/m);
+    assert.match(response.body, /^sources_config: york \(.*sources\.json\)$/m);
+    response = await get('/json/next');
+    assert.strictEqual(response.json().source_id, 'york');
+    response = await get('/json/next?source=leicester');
+    assert.strictEqual(response.statusCode, 400);
+  } finally {
+    await server.close();
+  }
+} finally {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+console.log('sources ok');
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import { addDays, localDateString, parseInstant, timeZoneOffsetMinutes, weekdayOf, zonedTimeToInstant } from '../src/timezone.js';
+
+const tz = 'Europe/London';
+
+// GMT and BST wall-clock times
+assert.strictEqual(zonedTimeToInstant('2025-01-12', '15:30', tz).toISOString(), '2025-01-12T15:30:00.000Z');
+assert.strictEqual(zonedTimeToInstant('2025-09-07', '15:30', tz).toISOString(), '2025-09-07T14:30:00.000Z');
+
+// Changeover Sundays: 30 March and 26 October 2025
+assert.strictEqual(zonedTimeToInstant('2025-03-30', '10:30', tz).toISOString(), '2025-03-30T09:30:00.000Z');
+assert.strictEqual(zonedTimeToInstant('2025-10-26', '10:30', tz).toISOString(), '2025-10-26T10:30:00.000Z');
+assert.strictEqual(timeZoneOffsetMinutes(Date.parse('2025-03-30T00:59:00Z'), tz), 0);
+assert.strictEqual(timeZoneOffsetMinutes(Date.parse('2025-03-30T01:00:00Z'), tz), 60);
+
+// Skipped hour shifts forward; repeated hour takes the first occurrence
+assert.strictEqual(zonedTimeToInstant('2025-03-30', '01:30', tz).toISOString(), '2025-03-30T01:30:00.000Z');
+assert.strictEqual(zonedTimeToInstant('2025-10-26', '01:30', tz).toISOString(), '2025-10-26T00:30:00.000Z');
+
+// Local calendar date differs from the UTC date just after midnight in BST
+assert.strictEqual(localDateString(new Date('2025-09-06T23:30:00Z'), tz), '2025-09-07');
+assert.strictEqual(localDateString(new Date('2025-12-06T23:30:00Z'), tz), '2025-12-06');
+
+assert.strictEqual(addDays('2025-12-31', 1), '2026-01-01');
+assert.strictEqual(addDays('2025-03-30', -6), '2025-03-24');
+assert.strictEqual(weekdayOf('2025-08-31'), 0);
+
+// Bare dates are noon UTC; local timestamps are wall-clock in the zone; explicit offsets are kept
+assert.strictEqual(parseInstant('2025-09-01', tz).toISOString(), '2025-09-01T12:00:00.000Z');
+assert.strictEqual(parseInstant('2025-09-01T10:30', tz).toISOString(), '2025-09-01T09:30:00.000Z');
+assert.strictEqual(parseInstant('2025-12-01T10:30:00', tz).toISOString(), '2025-12-01T10:30:00.000Z');
+assert.strictEqual(parseInstant('2025-09-01T10:30:00Z', tz).toISOString(), '2025-09-01T10:30:00.000Z');
+assert.ok(Number.isNaN(parseInstant('next tuesday', tz).getTime()));
+
+console.log('timezone ok');
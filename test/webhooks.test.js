@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { bearerTokenMatches, createWebhookDispatcher, maskUrl, signPayload } from '../src/webhooks.js';
+
+const secret = 'test-secret';
+const received = [];
+let failuresLeft = 2;
+
+// Local stand-in receiver: fails twice, then accepts
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(503).end();
+    } else {
+      res.writeHead(204).end();
+    }
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const url = `http://127.0.0.1:${server.address().port}/hooks/secret-token`;
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+
+try {
+  const dispatcher = createWebhookDispatcher({ targets: [url], secret, dataDir, maxAttempts: 4, baseDelayMs: 5 });
+  const id = dispatcher.emit('services.changed', { changes: [] }, new Date('2025-09-01T12:00:00Z'));
+  await dispatcher.idle();
+
+  assert.strictEqual(received.length, 3);
+  const last = received[2];
+  assert.strictEqual(last.headers['x-webhook-event'], 'services.changed');
+  assert.strictEqual(last.headers['x-webhook-id'], id);
+  const expected = `sha256=${signPayload(secret, last.headers['x-webhook-timestamp'], last.body)}`;
+  assert.strictEqual(last.headers['x-webhook-signature'], expected);
+  const payload = JSON.parse(last.body);
+  assert.strictEqual(payload.event, 'services.changed');
+  assert.strictEqual(payload.occurred_at, '2025-09-01T12:00:00.000Z');
+
+  const [delivery] = dispatcher.deliveries();
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(delivery.attempts, 3);
+  assert.strictEqual(delivery.target, maskUrl(url));
+  assert.ok(!delivery.target.includes('secret-token'));
+
+  // Delivery log survives a restart
+  const reloaded = createWebhookDispatcher({ targets: [url], secret, dataDir });
+  await reloaded.load();
+  assert.strictEqual(reloaded.deliveries()[0].id, id);
+  assert.strictEqual(reloaded.deliveries()[0].status, 'delivered');
+
+  // Gives up after maxAttempts
+  failuresLeft = 10;
+  const giveUp = createWebhookDispatcher({ targets: [url], secret, maxAttempts: 2, baseDelayMs: 1 });
+  giveUp.emit('refresh.failed', { error: 'boom' });
+  await giveUp.idle();
+  assert.strictEqual(giveUp.deliveries()[0].status, 'failed');
+  assert.strictEqual(giveUp.deliveries()[0].lastError, 'HTTP 503');
+
+  // POST /webhooks/test: token required, then rate-limited
+  assert.ok(bearerTokenMatches('Bearer admin-token', 'admin-token'));
+  assert.ok(!bearerTokenMatches('Bearer admin-tokens', 'admin-token'));
+  assert.ok(!bearerTokenMatches('admin-token', 'admin-token'));
+  assert.ok(!bearerTokenMatches('Bearer ', ''));
+  Object.assign(process.env, { DATA_DIR: dataDir, WEBHOOK_URLS: url, WEBHOOK_SECRET: secret, WEBHOOK_ADMIN_TOKEN: 'admin-token', WEBHOOK_MAX_ATTEMPTS: '1' });
+  const { fastify } = await import('../src/server.js');
+  let response = await fastify.inject({ method: 'POST', url: '/webhooks/test' });
+  assert.strictEqual(response.statusCode, 401);
+  assert.strictEqual(response.headers['www-authenticate'], 'Bearer');
+  response = await fastify.inject({ method: 'POST', url: '/webhooks/test', headers: { authorization: `Bearer ${secret}` } });
+  assert.strictEqual(response.statusCode, 403);
+  const before = received.length;
+  failuresLeft = 0;
+  response = await fastify.inject({ method: 'POST', url: '/webhooks/test', headers: { authorization: 'Bearer admin-token' } });
+  assert.strictEqual(response.statusCode, 202);
+  response = await fastify.inject({ method: 'POST', url: '/webhooks/test', headers: { authorization: 'Bearer admin-token' } });
+  assert.strictEqual(response.statusCode, 429);
+  assert.ok(Number(response.headers['retry-after']) > 0);
+  // Closing the server waits for the delivery in flight
+  await fastify.close();
+  assert.strictEqual(received.length, before + 1);
+  assert.strictEqual(received[before].headers['x-webhook-event'], 'webhook.test');
+
+  // Without a token configured the route is disabled
+  delete process.env.WEBHOOK_SECRET;
+  delete process.env.WEBHOOK_ADMIN_TOKEN;
+  const { fastify: unconfigured } = await import('../src/server.js?no-token');
+  response = await unconfigured.inject({ method: 'POST', url: '/webhooks/test', headers: { authorization: 'Bearer admin-token' } });
+  assert.strictEqual(response.statusCode, 403);
+  await unconfigured.close();
+} finally {
+  server.close();
+  await fs.rm(dataDir, { recursive: true, force: true });
+}
+
+console.log('webhooks ok');